@@ -0,0 +1,26 @@
+// Delete an analysis from the user's history
+const { deleteAnalysis } = require('../../lib/supabase');
+
+module.exports = async (req, res) => {
+  try {
+    const deleted = await deleteAnalysis(req.userId, req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was already deleted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Analysis deleted'
+    });
+  } catch (error) {
+    console.error('History delete error:', error);
+    res.status(500).json({
+      error: 'Failed to delete analysis',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,38 @@
+// Rate an analysis from the user's history: verdict, behavior label and reply
+const { getAnalysisById, saveAnalysisFeedback } = require('../../lib/supabase');
+const { parseFeedback, formatFeedback } = require('../../lib/feedback');
+
+module.exports = async (req, res) => {
+  try {
+    const { feedback, error } = parseFeedback(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid feedback',
+        message: error
+      });
+    }
+
+    const analysis = await getAnalysisById(req.userId, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was deleted'
+      });
+    }
+
+    const saved = await saveAnalysisFeedback(req.userId, analysis, feedback);
+    console.log(`📝 Feedback on analysis ${analysis.id} (${analysis.prompt_version}, ${analysis.behavior_type})`);
+
+    res.json({
+      success: true,
+      feedback: formatFeedback(saved)
+    });
+  } catch (error) {
+    console.error('Feedback save error:', error);
+    res.status(500).json({
+      error: 'Failed to save feedback',
+      message: error.message
+    });
+  }
+};
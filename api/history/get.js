@@ -0,0 +1,27 @@
+// Fetch a single analysis from the user's history
+const { getAnalysisById } = require('../../lib/supabase');
+const { formatAnalysisEntry } = require('../../lib/analysis');
+
+module.exports = async (req, res) => {
+  try {
+    const analysis = await getAnalysisById(req.userId, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was deleted'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysis: formatAnalysisEntry(analysis)
+    });
+  } catch (error) {
+    console.error('History fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analysis',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,23 @@
+// List the user's analysis history, newest first
+const { getAnalysisHistory } = require('../../lib/supabase');
+const { formatAnalysisEntry } = require('../../lib/analysis');
+const { parsePagination, paginationMeta } = require('../../lib/pagination');
+
+module.exports = async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const { entries, total } = await getAnalysisHistory(req.userId, pagination);
+
+    res.json({
+      success: true,
+      analyses: entries.map(formatAnalysisEntry),
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (error) {
+    console.error('History list error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch history',
+      message: error.message
+    });
+  }
+};
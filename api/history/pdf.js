@@ -0,0 +1,34 @@
+// Download a saved analysis as a PDF (Premium)
+const { getAnalysisById } = require('../../lib/supabase');
+const { formatAnalysisEntry } = require('../../lib/analysis');
+const { renderAnalysisPdf } = require('../../lib/pdf');
+
+module.exports = async (req, res) => {
+  try {
+    const analysis = await getAnalysisById(req.userId, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was deleted'
+      });
+    }
+
+    const pdf = await renderAnalysisPdf(formatAnalysisEntry(analysis));
+    const date = new Date(analysis.created_at).toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="subtext-analysis-${date}.pdf"`,
+      'Content-Length': pdf.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('PDF export error:', error);
+    res.status(500).json({
+      error: 'Failed to export analysis',
+      message: error.message
+    });
+  }
+};
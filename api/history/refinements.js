@@ -0,0 +1,33 @@
+// Refinement thread of an analysis from the user's history, with what's left of its allowance
+const { getAnalysisById, getReplyRefinements } = require('../../lib/supabase');
+const { getRefinementAllowance, currentReply, formatRefinement } = require('../../lib/refinement');
+
+module.exports = async (req, res) => {
+  try {
+    const analysis = await getAnalysisById(req.userId, req.params.id);
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was deleted'
+      });
+    }
+
+    const thread = await getReplyRefinements(analysis.id);
+
+    res.json({
+      success: true,
+      analysisId: analysis.id,
+      originalReply: analysis.strategic_response,
+      reply: currentReply(analysis, thread),
+      thread: thread.map(formatRefinement),
+      refinements: getRefinementAllowance(thread.length)
+    });
+  } catch (error) {
+    console.error('Refinement thread error:', error);
+    res.status(500).json({
+      error: 'Failed to get refinements',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,41 @@
+// Search the user's analysis history by text or behavior type
+const { searchAnalysisHistory } = require('../../lib/supabase');
+const { formatAnalysisEntry } = require('../../lib/analysis');
+const { parsePagination, paginationMeta } = require('../../lib/pagination');
+const { getBehavior } = require('../../lib/behaviors');
+
+module.exports = async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim();
+    const requestedBehavior = (req.query.behaviorType || '').trim();
+
+    // Accept a taxonomy ID ("playing_victim") as well as the stored label
+    const behaviorType = getBehavior(requestedBehavior)?.label || requestedBehavior;
+
+    if (!query && !behaviorType) {
+      return res.status(400).json({
+        error: 'Missing search criteria',
+        message: 'Provide a search term (q) or a behaviorType'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { entries, total } = await searchAnalysisHistory(req.userId, {
+      query,
+      behaviorType,
+      ...pagination
+    });
+
+    res.json({
+      success: true,
+      analyses: entries.map(formatAnalysisEntry),
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (error) {
+    console.error('History search error:', error);
+    res.status(500).json({
+      error: 'Failed to search history',
+      message: error.message
+    });
+  }
+};
@@ -1,10 +1,8 @@
 // Cancel subscription
-const { authenticateUser } = require('../../middleware/auth');
 const { cancelSubscription } = require('../../lib/paypal');
 const { getUserSubscription, cancelUserSubscription } = require('../../lib/supabase');
 
 module.exports = async (req, res) => {
-  await authenticateUser(req, res, async () => {
     try {
       // Get user's subscription from database
       const subscription = await getUserSubscription(req.userId);
@@ -44,5 +42,4 @@ module.exports = async (req, res) => {
         message: error.message
       });
     }
-  });
 };
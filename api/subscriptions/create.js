@@ -1,11 +1,8 @@
 // Create subscription after PayPal payment
-const { authenticateUser } = require('../../middleware/auth');
 const { getSubscriptionDetails, SUBSCRIPTION_PLANS } = require('../../lib/paypal');
 const { upsertSubscription } = require('../../lib/supabase');
 
 module.exports = async (req, res) => {
-  // Authenticate user
-  await authenticateUser(req, res, async () => {
     try {
       const { subscriptionId, tier } = req.body;
 
@@ -108,5 +105,4 @@ module.exports = async (req, res) => {
         message: error.message || 'An unexpected error occurred'
       });
     }
-  });
 };
@@ -1,5 +1,6 @@
 // Get available subscription plans
 const { SUBSCRIPTION_PLANS } = require('../../lib/paypal');
+const { BASE_FEATURES, getTierFeatures, featureLabel } = require('../../lib/entitlements');
 
 // PayPal plan ID mapping
 const PAYPAL_PLAN_IDS = {
@@ -18,6 +19,7 @@ module.exports = async (req, res) => {
       limit: SUBSCRIPTION_PLANS[tier].limit,
       description: SUBSCRIPTION_PLANS[tier].description,
       features: getFeaturesByTier(tier),
+      entitlements: getTierFeatures(tier),
       paypalPlanId: PAYPAL_PLAN_IDS[tier] // Include PayPal plan ID for frontend
     }));
 
@@ -34,35 +36,16 @@ module.exports = async (req, res) => {
   }
 };
 
+// Feature list for display, generated from the entitlements map
 function getFeaturesByTier(tier) {
-  const baseFeatures = [
-    'AI-powered conversation analysis',
-    'Hidden intent detection',
-    'Manipulation tactics identification',
-    'Strategic reply suggestions'
-  ];
-
-  const tierFeatures = {
-    basic: [
-      ...baseFeatures,
-      '25 analyses per month',
-      'Email support'
-    ],
-    pro: [
-      ...baseFeatures,
-      '100 analyses per month',
-      'Priority email support',
-      'Analysis history'
-    ],
-    premium: [
-      ...baseFeatures,
-      'Unlimited analyses',
-      'Priority support',
-      'Analysis history',
-      'Advanced insights',
-      'Export to PDF'
-    ]
-  };
+  const features = getTierFeatures(tier);
+  const plan = SUBSCRIPTION_PLANS[tier];
+  const limit = plan.limit === -1 ? 'Unlimited analyses' : `${plan.limit} analyses per month`;
+  const isBase = feature => BASE_FEATURES.includes(feature);
 
-  return tierFeatures[tier] || baseFeatures;
+  return [
+    ...features.filter(isBase).map(featureLabel),
+    limit,
+    ...features.filter(feature => !isBase(feature)).map(featureLabel)
+  ];
 }
@@ -0,0 +1,464 @@
+// Helpers for working with analysis completions
+const { NO_BEHAVIOR, BEHAVIORS, getBehavior } = require('./behaviors');
+
+/**
+ * Split a markdown analysis completion into its three sections.
+ * Missing sections come back as null.
+ */
+function parseAnalysisSections(content) {
+  const sections = {
+    hiddenIntent: extractSection(content, 'Hidden Intent'),
+    behaviorType: extractSection(content, 'Behavior Type'),
+    strategicReply: extractSection(content, 'Strategic Reply')
+  };
+
+  if (sections.behaviorType) {
+    sections.behaviorType = sections.behaviorType.toUpperCase();
+  }
+
+  return sections;
+}
+
+/**
+ * Parse a markdown analysis with the same fields as a structured one. Markdown only
+ * names a label, so it's mapped to its taxonomy ID; confidence and evidence need
+ * the json format and are null and empty here.
+ */
+function parseMarkdownAnalysis(content) {
+  const sections = parseAnalysisSections(content);
+  const behavior = getBehavior(sections.behaviorType);
+
+  return {
+    ...sections,
+    confidence: null,
+    behaviors: behavior ? [{ id: behavior.id, confidence: null, evidence: [] }] : []
+  };
+}
+
+/**
+ * Text of one "**Heading:**" section of a markdown completion, as written, or null
+ */
+function extractSection(content, heading) {
+  if (!content) return null;
+
+  // Matches "**Heading:**" and captures everything up to the next bold heading
+  const pattern = new RegExp(`\\*\\*${heading}:?\\*\\*:?\\s*([\\s\\S]*?)(?=\\n\\s*\\*\\*[^*]+:?\\*\\*|$)`, 'i');
+  const match = content.match(pattern);
+
+  if (!match) return null;
+
+  const value = match[1].trim();
+  return value.length > 0 ? value : null;
+}
+
+/**
+ * Shape an analyses_history row for API responses
+ */
+function formatAnalysisEntry(row) {
+  return {
+    id: row.id,
+    extractedText: row.extracted_text,
+    transcript: row.transcript,
+    hiddenIntent: row.hidden_intent,
+    behaviorType: row.behavior_type,
+    behaviors: row.behaviors,
+    strategicReply: row.strategic_response,
+    tone: row.tone,
+    replyVariants: row.reply_variants,
+    promptVersion: row.prompt_version,
+    language: row.language,
+    createdAt: row.created_at
+  };
+}
+
+// ============================================
+// STRUCTURED (JSON) OUTPUT
+// ============================================
+
+// Schema every structured analysis must satisfy before it reaches a client
+// (behaviors and reply variants are checked by their own validators below)
+const ANALYSIS_SCHEMA = {
+  hiddenIntent: { type: 'string', required: true },
+  behaviorType: { type: 'string', required: true, pattern: /^[A-Z][A-Z ]*$/ },
+  strategicReply: { type: 'string', required: true },
+  confidence: { type: 'number', required: true, min: 0, max: 1 }
+};
+
+// Structured output lists every detected behavior with the lines that show it
+const BEHAVIORS_FORMAT = `  "behaviors": [
+    {
+      "id": one of ${BEHAVIORS.map(behavior => `"${behavior.id}"`).join(', ')},
+      "confidence": 0.0-1.0 how sure you are about this behavior,
+      "evidence": ["words copied EXACTLY from their messages that show this behavior"]
+    }
+  ]`;
+
+const BEHAVIORS_RULES = `List every behavior you detect, most confident first. Each evidence quote must be copied word for word from THEIR messages - never from mine, never paraphrased. If nothing they wrote is manipulative, return a single "${NO_BEHAVIOR}" behavior with empty evidence.`;
+
+// Replaces the markdown FORMAT section of the system prompt in JSON mode
+const JSON_FORMAT_INSTRUCTIONS = `FORMAT:
+Respond with ONLY a JSON object (no markdown, no code fences) with exactly these keys:
+{
+  "hiddenIntent": "1-2 sentences exposing what they're REALLY doing",
+${BEHAVIORS_FORMAT},
+  "strategicReply": "the reply the user should send"
+}
+
+${BEHAVIORS_RULES}`;
+
+// Multi-reply mode: how many variants a client can ask for
+const MIN_REPLY_VARIANTS = 2;
+const MAX_REPLY_VARIANTS = 5;
+
+/**
+ * JSON format instructions for multi-reply mode
+ */
+function buildVariantFormatInstructions(count, tones) {
+  return `FORMAT:
+Respond with ONLY a JSON object (no markdown, no code fences) with exactly these keys:
+{
+  "hiddenIntent": "1-2 sentences exposing what they're REALLY doing",
+${BEHAVIORS_FORMAT},
+  "variants": [
+    {
+      "tone": one of ${tones.map(tone => `"${tone}"`).join(', ')},
+      "reply": "a reply the user could send",
+      "escalationRisk": 0.0-1.0 how likely this reply is to escalate the conflict
+    }
+  ]
+}
+
+${BEHAVIORS_RULES}
+
+Give EXACTLY ${count} variants, best reply first. The first variant must follow the style described above; the others should offer genuinely different approaches and may use any of the listed tones.`;
+}
+
+/**
+ * Bucket an escalation risk score for display
+ */
+function escalationLevel(risk) {
+  if (risk < 0.34) return 'low';
+  if (risk < 0.67) return 'medium';
+  return 'high';
+}
+
+// Alternate key spellings models tend to produce
+const KEY_ALIASES = {
+  hidden_intent: 'hiddenIntent',
+  behavior_type: 'behaviorType',
+  behavior: 'behaviorType',
+  strategic_reply: 'strategicReply',
+  reply: 'strategicReply',
+  escalation_risk: 'escalationRisk',
+  replies: 'variants',
+  behaviours: 'behaviors',
+  quotes: 'evidence'
+};
+
+/**
+ * Check a candidate analysis object against ANALYSIS_SCHEMA.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+function validateAnalysis(candidate, { variantCount, tones } = {}) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return ['response is not a JSON object'];
+  }
+
+  const errors = [];
+
+  errors.push(...validateBehaviors(candidate.behaviors));
+
+  if (variantCount) {
+    errors.push(...validateVariants(candidate.variants, variantCount, tones));
+  }
+
+  for (const [key, rule] of Object.entries(ANALYSIS_SCHEMA)) {
+    const value = candidate[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push(`"${key}" is missing`);
+      continue;
+    }
+
+    if (typeof value !== rule.type || (rule.type === 'number' && Number.isNaN(value))) {
+      errors.push(`"${key}" must be a ${rule.type}`);
+      continue;
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push(`"${key}" must be a single uppercase label`);
+    }
+
+    if (rule.min !== undefined && value < rule.min) errors.push(`"${key}" must be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`"${key}" must be <= ${rule.max}`);
+  }
+
+  return errors;
+}
+
+function validateBehaviors(behaviors) {
+  if (!Array.isArray(behaviors) || behaviors.length === 0) return ['"behaviors" must be a non-empty array'];
+
+  const errors = [];
+
+  behaviors.forEach((behavior, i) => {
+    if (!getBehavior(behavior?.id)) {
+      errors.push(`behavior ${i + 1} "id" must be one of: ${BEHAVIORS.map(known => known.id).join(', ')}`);
+      return;
+    }
+    if (typeof behavior.confidence !== 'number' || Number.isNaN(behavior.confidence) ||
+        behavior.confidence < 0 || behavior.confidence > 1) {
+      errors.push(`behavior ${i + 1} "confidence" must be a number between 0 and 1`);
+    }
+    if (behavior.id !== NO_BEHAVIOR && !(Array.isArray(behavior.evidence) && behavior.evidence.length > 0)) {
+      errors.push(`behavior ${i + 1} ("${behavior.id}") needs evidence quoted word for word from their messages`);
+    }
+  });
+
+  return errors;
+}
+
+function validateVariants(variants, count, tones) {
+  if (!Array.isArray(variants)) return ['"variants" must be an array'];
+  if (variants.length !== count) return [`"variants" must contain exactly ${count} replies`];
+
+  const errors = [];
+
+  variants.forEach((variant, i) => {
+    if (!variant || typeof variant.reply !== 'string' || variant.reply === '') {
+      errors.push(`variant ${i + 1} is missing "reply"`);
+    }
+    if (tones && !tones.includes(variant?.tone)) {
+      errors.push(`variant ${i + 1} "tone" must be one of: ${tones.join(', ')}`);
+    }
+    if (typeof variant?.escalationRisk !== 'number' || Number.isNaN(variant.escalationRisk) ||
+        variant.escalationRisk < 0 || variant.escalationRisk > 1) {
+      errors.push(`variant ${i + 1} "escalationRisk" must be a number between 0 and 1`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Turn raw model output into a schema-valid analysis, repairing what we safely can
+ * (code fences, snake_case keys, "85%" confidences, lowercase labels, markdown output).
+ * Pass { variantCount, tones } to also require a ranked list of reply variants, and
+ * the analyzed { messages } or { transcript } to check evidence quotes against them.
+ * Returns { analysis, errors } - analysis is null when the output can't be repaired.
+ */
+function parseStructuredAnalysis(content, options = {}) {
+  const candidate = extractJsonObject(content) || parseAnalysisSections(content);
+  const analysis = normalizeAnalysis(candidate, options);
+  const errors = validateAnalysis(analysis, options);
+
+  return errors.length === 0
+    ? { analysis, errors }
+    : { analysis: null, errors };
+}
+
+function extractJsonObject(content) {
+  if (!content) return null;
+
+  const attempts = [content.trim()];
+
+  // Fenced ```json blocks or the outermost {...} span
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) attempts.push(fenced[1].trim());
+
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start !== -1 && end > start) attempts.push(content.slice(start, end + 1));
+
+  for (const attempt of attempts) {
+    try {
+      const parsed = JSON.parse(attempt);
+      if (parsed && typeof parsed === 'object') return parsed;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+function normalizeAnalysis(candidate, { variantCount, messages, transcript } = {}) {
+  if (!candidate || typeof candidate !== 'object') return candidate;
+
+  const normalized = normalizeKeys(candidate);
+
+  for (const key of ['hiddenIntent', 'behaviorType', 'strategicReply']) {
+    if (typeof normalized[key] === 'string') normalized[key] = normalized[key].trim();
+  }
+
+  if (typeof normalized.behaviorType === 'string') {
+    normalized.behaviorType = normalized.behaviorType
+      .toUpperCase()
+      .replace(/[^A-Z ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  normalized.confidence = normalizeScore(normalized.confidence);
+
+  const analysis = {
+    hiddenIntent: normalized.hiddenIntent,
+    behaviorType: normalized.behaviorType,
+    strategicReply: normalized.strategicReply,
+    confidence: normalized.confidence,
+    behaviors: Array.isArray(normalized.behaviors)
+      ? normalizeBehaviors(normalized.behaviors, evidenceSources({ messages, transcript }))
+      : normalized.behaviors
+  };
+
+  // The most confident behavior is the headline label
+  const top = Array.isArray(analysis.behaviors) && analysis.behaviors[0];
+  if (top && getBehavior(top.id)) {
+    analysis.behaviorType = getBehavior(top.id).label;
+    analysis.confidence = top.confidence;
+  }
+
+  if (variantCount) {
+    const variants = Array.isArray(normalized.variants) ? normalized.variants : [];
+
+    // Extra variants are harmless - keep the model's top picks
+    analysis.variants = variants.slice(0, variantCount).map((raw, i) => {
+      const variant = raw && typeof raw === 'object' ? normalizeKeys(raw) : { reply: raw };
+      const escalationRisk = normalizeScore(variant.escalationRisk);
+
+      return {
+        rank: i + 1,
+        tone: typeof variant.tone === 'string' ? variant.tone.trim().toLowerCase() : variant.tone,
+        reply: typeof variant.strategicReply === 'string' ? variant.strategicReply.trim() : variant.strategicReply,
+        escalationRisk,
+        escalationLevel: typeof escalationRisk === 'number' ? escalationLevel(escalationRisk) : null
+      };
+    });
+
+    // The top-ranked variant doubles as the primary reply
+    if (!analysis.strategicReply && analysis.variants[0]) {
+      analysis.strategicReply = analysis.variants[0].reply;
+    }
+  }
+
+  return analysis;
+}
+
+function normalizeBehaviors(rawBehaviors, sources) {
+  const behaviors = rawBehaviors
+    .filter(raw => raw && typeof raw === 'object')
+    .map(raw => {
+      const behavior = normalizeKeys(raw);
+      const known = getBehavior(behavior.id) || getBehavior(behavior.behaviorType) || getBehavior(behavior.label);
+      const quotes = Array.isArray(behavior.evidence) ? behavior.evidence : [behavior.evidence].filter(Boolean);
+
+      return {
+        id: known ? known.id : behavior.id,
+        confidence: normalizeScore(behavior.confidence),
+        evidence: groundEvidence(quotes, sources)
+      };
+    })
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+
+  // "none" alongside real findings is a contradiction - the findings win.
+  // Findings without any real quote are dropped, unless nothing else is left
+  // (then validation fails and the model is asked again).
+  const detected = behaviors.filter(behavior => behavior.id !== NO_BEHAVIOR);
+  const grounded = detected.filter(behavior => behavior.evidence.length > 0);
+
+  if (grounded.length > 0) return grounded;
+  return detected.length > 0 ? detected : behaviors;
+}
+
+// The messages evidence may quote: only theirs, with their position in what was analyzed
+function evidenceSources({ messages, transcript }) {
+  if (transcript) {
+    return transcript
+      .map((message, messageIndex) => ({ text: message.text, messageIndex, sender: message.sender }))
+      .filter(message => message.sender === 'them');
+  }
+
+  if (messages) {
+    return messages.map((text, messageIndex) => ({ text: String(text), messageIndex }));
+  }
+
+  return null;
+}
+
+// Keep only quotes that really appear in their messages, tagged with the message they came from
+function groundEvidence(quotes, sources) {
+  const evidence = [];
+
+  for (const raw of quotes) {
+    const quote = String(typeof raw === 'object' && raw ? raw.quote || raw.text || '' : raw)
+      .trim()
+      .replace(/^["'“”‘’]+|["'“”‘’]+$/g, '')
+      .replace(/^(\.\.\.|…)\s*|\s*(\.\.\.|…)$/g, '')
+      .trim();
+    if (!quote) continue;
+
+    if (!sources) {
+      evidence.push({ quote, messageIndex: null });
+      continue;
+    }
+
+    const source = sources.find(message => comparable(message.text).includes(comparable(quote)));
+    if (source) {
+      evidence.push({ quote, messageIndex: source.messageIndex });
+    } else {
+      console.warn('⚠️ Dropping evidence not found in their messages:', quote);
+    }
+  }
+
+  return evidence;
+}
+
+// Quote matching ignores case, spacing and curly vs straight quotes
+function comparable(text) {
+  return text
+    .toLowerCase()
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeKeys(object) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(object)) {
+    normalized[KEY_ALIASES[key] || key] = value;
+  }
+  return normalized;
+}
+
+// Accepts 0.85, "0.85", "85%" or 85 and returns 0.85
+function normalizeScore(value) {
+  let score = value;
+
+  if (typeof score === 'string') {
+    const percent = score.trim().endsWith('%');
+    score = parseFloat(score);
+    if (percent) score /= 100;
+  }
+
+  // Some models answer on a 0-100 scale
+  if (typeof score === 'number' && score > 1 && score <= 100) {
+    score /= 100;
+  }
+
+  return score;
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  JSON_FORMAT_INSTRUCTIONS,
+  MIN_REPLY_VARIANTS,
+  MAX_REPLY_VARIANTS,
+  buildVariantFormatInstructions,
+  parseAnalysisSections,
+  parseMarkdownAnalysis,
+  extractSection,
+  parseStructuredAnalysis,
+  validateAnalysis,
+  formatAnalysisEntry
+};
@@ -0,0 +1,100 @@
+// Analysis generation: prompt -> model -> parsed analysis
+//
+// Shared by /api/analyze, analysis jobs and the prompt eval harness
+// (scripts/eval-prompts.js), so an evaluation runs exactly what production runs.
+const llm = require('./llm');
+const { PERSONAS, buildSystemPrompt, buildUserPrompt } = require('./personas');
+const { parseMarkdownAnalysis, parseStructuredAnalysis } = require('./analysis');
+
+// Structured mode: how many times to ask the model before giving up on valid JSON
+const MAX_STRUCTURED_ATTEMPTS = 2;
+
+// Request an analysis completion (returns null on provider failure)
+async function requestAnalysisCompletion(chatMessages, options = {}) {
+  try {
+    return await llm.complete('analyze', { messages: chatMessages, ...options });
+  } catch (error) {
+    console.error('Analysis provider error:', error);
+    return null;
+  }
+}
+
+/**
+ * Run a validated analyze request ({ messages, transcript, persona, variantCount,
+ * jsonMode, language, userLanguage }) with a prompt from lib/prompts.
+ * Resolves with { analysis, content, usage } or { error } holding the HTTP
+ * status and response body.
+ */
+async function generateAnalysis(request, prompt) {
+  const { messages, transcript, persona, variantCount, jsonMode, language, userLanguage } = request;
+
+  const chatMessages = [
+    { role: 'system', content: buildSystemPrompt(persona, { jsonMode, variantCount, prompt, language, userLanguage }) },
+    { role: 'user', content: buildUserPrompt(persona, { messages, transcript }, prompt) }
+  ];
+  const completionOptions = {
+    jsonMode,
+    temperature: persona.temperature,
+    maxTokens: jsonMode ? 350 + variantCount * 120 : 250
+  };
+  const parseOptions = {
+    messages,
+    transcript,
+    ...(variantCount && { variantCount, tones: Object.keys(PERSONAS) })
+  };
+
+  let result;
+  let analysis;
+
+  if (jsonMode) {
+    // Ask again with the validation errors until the output fits the schema
+    let attemptMessages = chatMessages;
+
+    for (let attempt = 1; attempt <= MAX_STRUCTURED_ATTEMPTS && !analysis; attempt++) {
+      result = await requestAnalysisCompletion(attemptMessages, completionOptions);
+      if (!result) break;
+
+      const content = result.content;
+      const parsed = parseStructuredAnalysis(content, parseOptions);
+
+      if (parsed.analysis) {
+        analysis = parsed.analysis;
+      } else {
+        console.warn(`⚠️ Invalid structured analysis (attempt ${attempt}):`, parsed.errors);
+        attemptMessages = [
+          ...chatMessages,
+          { role: 'assistant', content },
+          {
+            role: 'user',
+            content: `Your response was invalid: ${parsed.errors.join('; ')}. Respond again with ONLY the JSON object.`
+          }
+        ];
+      }
+    }
+  } else {
+    result = await requestAnalysisCompletion(chatMessages, completionOptions);
+  }
+
+  if (!result) {
+    return { error: { status: 500, error: 'Analysis failed', message: 'Failed to analyze messages. Please try again.' } };
+  }
+
+  if (jsonMode && !analysis) {
+    return { error: { status: 502, error: 'Invalid analysis output', message: 'The analysis could not be completed. Please try again.' } };
+  }
+
+  if (!result.content) {
+    return { error: { status: 500, error: 'No analysis result', message: 'Failed to generate analysis' } };
+  }
+
+  return {
+    analysis: analysis || parseMarkdownAnalysis(result.content),
+    content: result.content,
+    usage: result.usage
+  };
+}
+
+module.exports = {
+  MAX_STRUCTURED_ATTEMPTS,
+  generateAnalysis
+};
@@ -0,0 +1,86 @@
+// Behavior taxonomy for analysis labels
+//
+// IDs are stable and stored with each analysis - never rename or reuse one.
+// Labels are what users see and what the markdown prompt lists.
+
+const NO_BEHAVIOR = 'none';
+
+const BEHAVIORS = [
+  {
+    id: 'guilt_tripping',
+    label: 'GUILT TRIPPING',
+    description: 'Making you feel responsible for their feelings so you give in'
+  },
+  {
+    id: 'love_bombing',
+    label: 'LOVE BOMBING',
+    description: 'Overwhelming affection or commitment to speed up attachment'
+  },
+  {
+    id: 'attention_seeking',
+    label: 'ATTENTION SEEKING',
+    description: 'Vague or dramatic messages designed to make you chase them'
+  },
+  {
+    id: 'gaslighting',
+    label: 'GASLIGHTING',
+    description: 'Denying or rewriting what happened so you doubt your memory'
+  },
+  {
+    id: 'playing_victim',
+    label: 'PLAYING VICTIM',
+    description: 'Recasting themselves as the wronged party to avoid accountability'
+  },
+  {
+    id: 'breadcrumbing',
+    label: 'BREADCRUMBING',
+    description: 'Just enough contact to keep you interested without real commitment'
+  },
+  {
+    id: 'passive_aggressive',
+    label: 'PASSIVE AGGRESSIVE',
+    description: 'Hostility delivered indirectly through sarcasm, sulking or digs'
+  },
+  {
+    id: 'emotional_manipulation',
+    label: 'EMOTIONAL MANIPULATION',
+    description: 'Using your emotions against you in a way the other labels don\'t cover'
+  },
+  {
+    id: NO_BEHAVIOR,
+    label: 'NO MANIPULATION',
+    description: 'Nothing manipulative in their messages'
+  }
+];
+
+const BEHAVIORS_BY_ID = Object.fromEntries(BEHAVIORS.map(behavior => [behavior.id, behavior]));
+// Labels don't always spell their ID ("NO MANIPULATION" is "none")
+const BEHAVIORS_BY_LABEL = Object.fromEntries(BEHAVIORS.map(behavior => [behavior.label, behavior]));
+
+/**
+ * Look up a behavior by ID or label ("gaslighting", "GASLIGHTING", "Playing victim", "No manipulation").
+ * Returns null when it isn't in the taxonomy.
+ */
+function getBehavior(value) {
+  if (typeof value !== 'string') return null;
+
+  const label = value.trim().toUpperCase().replace(/[^A-Z]+/g, ' ').trim();
+  if (Object.prototype.hasOwnProperty.call(BEHAVIORS_BY_LABEL, label)) return BEHAVIORS_BY_LABEL[label];
+
+  const id = value.trim().toLowerCase().replace(/[^a-z]+/g, '_').replace(/^_|_$/g, '');
+  return Object.prototype.hasOwnProperty.call(BEHAVIORS_BY_ID, id) ? BEHAVIORS_BY_ID[id] : null;
+}
+
+/**
+ * Public listing of the taxonomy
+ */
+function listBehaviors() {
+  return BEHAVIORS.map(({ id, label, description }) => ({ id, label, description }));
+}
+
+module.exports = {
+  NO_BEHAVIOR,
+  BEHAVIORS,
+  getBehavior,
+  listBehaviors
+};
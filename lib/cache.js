@@ -0,0 +1,34 @@
+// LRU/TTL cache on the shared store (lib/store)
+//
+// Store errors are logged and treated as a miss, so a cache outage only costs
+// a repeat model call.
+const { createStore } = require('./store');
+
+/**
+ * Create a cache for a namespace. Entries expire after ttl ms; past maxEntries
+ * the least recently used ones are evicted.
+ */
+function createCache(namespace, { ttl, maxEntries }) {
+  const store = createStore(namespace, { maxEntries });
+
+  return {
+    async get(key) {
+      try {
+        return await store.get(key);
+      } catch (error) {
+        console.error(`Cache read error (${namespace}):`, error.message);
+        return null;
+      }
+    },
+
+    async set(key, value) {
+      try {
+        await store.set(key, value, { ttl });
+      } catch (error) {
+        console.error(`Cache write error (${namespace}):`, error.message);
+      }
+    }
+  };
+}
+
+module.exports = { createCache };
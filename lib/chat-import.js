@@ -0,0 +1,371 @@
+// Parsers for chat exports (WhatsApp .txt, Telegram JSON, generic CSV)
+//
+// Every parser returns { messages: [{ author, text, timestamp? }] } or { error }.
+// Authors are the names in the export; toTranscript() maps them onto the
+// 'them' / 'me' sides once the user has picked who "them" is.
+const { normalizeTranscript } = require('./transcript');
+
+const IMPORT_FORMATS = ['whatsapp', 'telegram', 'csv'];
+
+// Only the most recent messages matter for the analysis and they have to fit the prompt
+const MAX_IMPORT_MESSAGES = 200;
+
+// iOS:     [12/03/2024, 21:15:04] Name: text
+// Android: 12/03/2024, 21:15 - Name: text
+// Times can be 12-hour ("9:15 PM", "9:15 p. m.") and dates can use "/", "." or "-"
+const DATE_TIME = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4}),?\\s+(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?\\s*([AaPp]\\.?\\s?[Mm]\\.?)?';
+const WHATSAPP_IOS_LINE = new RegExp(`^\\[${DATE_TIME}\\]\\s+(.*)$`);
+const WHATSAPP_ANDROID_LINE = new RegExp(`^${DATE_TIME}\\s+[-–]\\s+(.*)$`);
+
+// Attachments, deleted messages and iOS system notices have no text worth analyzing
+const WHATSAPP_PLACEHOLDERS = [
+  /^messages and calls are end-to-end encrypted/i,
+  /^<media omitted>$/i,
+  /^<attached: .*>$/i,
+  /^(image|video|audio|sticker|gif|document|contact card) omitted$/i,
+  /^this message was deleted$/i,
+  /^you deleted this message$/i,
+  /^null$/
+];
+
+// Header names accepted for each CSV column (compared lowercase, without spaces/underscores)
+const CSV_COLUMNS = {
+  author: ['sender', 'sendername', 'from', 'author', 'name', 'contact', 'participant'],
+  text: ['text', 'message', 'body', 'content', 'msg'],
+  timestamp: ['timestamp', 'date', 'datetime', 'messagedate', 'time', 'sentat', 'createdat'],
+  direction: ['type', 'direction', 'isfromme']
+};
+
+const OUTGOING_VALUES = ['outgoing', 'sent', 'out', '1', 'true', 'yes'];
+
+/**
+ * Guess the export format from the file name, then the content
+ */
+function detectFormat(content, filename = '') {
+  const extension = filename.toLowerCase().split('.').pop();
+  if (extension === 'json') return 'telegram';
+  if (extension === 'csv') return 'csv';
+
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('{')) return 'telegram';
+
+  const firstLines = trimmed.split('\n').slice(0, 5).map(cleanLine);
+  if (firstLines.some(line => WHATSAPP_IOS_LINE.test(line) || WHATSAPP_ANDROID_LINE.test(line))) {
+    return 'whatsapp';
+  }
+
+  return 'csv';
+}
+
+/**
+ * Parse an export in the given (or detected) format
+ */
+function parseChatExport(content, { format, filename } = {}) {
+  const text = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const resolvedFormat = format || detectFormat(text, filename);
+
+  const parsers = { whatsapp: parseWhatsApp, telegram: parseTelegram, csv: parseCsv };
+  const result = parsers[resolvedFormat](text);
+  if (result.error) return result;
+
+  if (result.messages.length === 0) {
+    return { error: `No messages found in this ${resolvedFormat} export` };
+  }
+
+  return { format: resolvedFormat, messages: result.messages };
+}
+
+function parseWhatsApp(content) {
+  const entries = [];
+
+  for (const rawLine of content.split('\n')) {
+    const line = cleanLine(rawLine);
+    const match = WHATSAPP_IOS_LINE.exec(line) || WHATSAPP_ANDROID_LINE.exec(line);
+
+    if (!match) {
+      // Messages with line breaks continue on the following lines
+      if (entries.length > 0 && entries[entries.length - 1].text !== null) {
+        entries[entries.length - 1].text += `\n${rawLine}`;
+      }
+      continue;
+    }
+
+    const [, a, b, c, hour, minute, second, meridiem, rest] = match;
+    const separator = rest.indexOf(': ');
+
+    // "Messages and calls are end-to-end encrypted", "X added Y", ...
+    if (separator === -1) {
+      entries.push({ text: null });
+      continue;
+    }
+
+    entries.push({
+      date: [Number(a), Number(b), Number(c)],
+      time: [Number(hour), Number(minute), Number(second || 0), meridiem],
+      author: rest.slice(0, separator).trim(),
+      text: rest.slice(separator + 2)
+    });
+  }
+
+  const messages = entries.filter(entry => entry.text !== null);
+  if (messages.length === 0) {
+    return { error: 'This does not look like a WhatsApp chat export' };
+  }
+
+  const dayFirst = isDayFirst(messages);
+
+  return {
+    messages: messages
+      .map(entry => ({
+        author: entry.author,
+        text: cleanLine(entry.text).trim(),
+        timestamp: formatWhatsAppTimestamp(entry.date, entry.time, dayFirst)
+      }))
+      .filter(message => message.text && !WHATSAPP_PLACEHOLDERS.some(pattern => pattern.test(message.text)))
+  };
+}
+
+// Dates are DD/MM/YYYY or MM/DD/YYYY depending on the phone's locale. A part
+// over 12 settles it; otherwise 12-hour clocks suggest the US order.
+function isDayFirst(messages) {
+  const dated = messages.filter(message => message.date[0] < 1000);
+  if (dated.some(message => message.date[0] > 12)) return true;
+  if (dated.some(message => message.date[1] > 12)) return false;
+  return !messages.some(message => message.time[3]);
+}
+
+function formatWhatsAppTimestamp([a, b, c], [hour, minute, second, meridiem], dayFirst) {
+  let year;
+  let month;
+  let day;
+
+  if (a >= 1000) {
+    [year, month, day] = [a, b, c];
+  } else {
+    [day, month] = dayFirst ? [a, b] : [b, a];
+    year = c < 100 ? 2000 + c : c;
+  }
+
+  if (meridiem) {
+    const pm = meridiem.toLowerCase().startsWith('p');
+    hour = (hour % 12) + (pm ? 12 : 0);
+  }
+
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+}
+
+function parseTelegram(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return { error: 'Telegram export is not valid JSON' };
+  }
+
+  // A full account export wraps chats in chats.list - only a single chat can be analyzed
+  if (data?.chats?.list) {
+    if (data.chats.list.length !== 1) {
+      return { error: 'This export contains several chats. Export a single chat from Telegram and upload its result.json' };
+    }
+    data = data.chats.list[0];
+  }
+
+  if (!Array.isArray(data?.messages)) {
+    return { error: 'This does not look like a Telegram chat export' };
+  }
+
+  return {
+    messages: data.messages
+      .filter(message => message.type === 'message')
+      .map(message => ({
+        author: message.from || message.from_id || 'Deleted Account',
+        text: telegramText(message.text).trim(),
+        timestamp: message.date
+      }))
+      .filter(message => message.text)
+  };
+}
+
+// Formatted messages are an array of plain strings and { type, text } entities
+function telegramText(text) {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+  return text.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+}
+
+function parseCsv(content) {
+  const rows = parseCsvRows(content);
+  if (rows.length < 2) {
+    return { error: 'CSV export needs a header row and at least one message' };
+  }
+
+  const header = rows[0].map(name => name.toLowerCase().replace(/[\s_]+/g, ''));
+  const column = key => header.findIndex(name => CSV_COLUMNS[key].includes(name));
+  const columns = {
+    author: column('author'),
+    text: column('text'),
+    timestamp: column('timestamp'),
+    direction: column('direction')
+  };
+
+  if (columns.text === -1 || (columns.author === -1 && columns.direction === -1)) {
+    return { error: 'CSV export needs a message column (text, message or body) and a sender column (sender, from or author)' };
+  }
+
+  const messages = [];
+
+  for (const row of rows.slice(1)) {
+    const text = (row[columns.text] || '').trim();
+    if (!text) continue;
+
+    let author = columns.author !== -1 ? (row[columns.author] || '').trim() : '';
+
+    // Exports like iMessage's leave the sender empty on outgoing messages
+    if (!author && columns.direction !== -1) {
+      const direction = (row[columns.direction] || '').trim().toLowerCase();
+      author = OUTGOING_VALUES.includes(direction) ? 'Me' : 'Them';
+    }
+
+    if (!author) continue;
+
+    const message = { author, text };
+    const timestamp = columns.timestamp !== -1 ? (row[columns.timestamp] || '').trim() : '';
+    if (timestamp) message.timestamp = timestamp;
+
+    messages.push(message);
+  }
+
+  return { messages };
+}
+
+// RFC 4180 rows: quoted fields may contain the delimiter, "" and line breaks.
+// The delimiter (comma, semicolon or tab) is whichever the header uses most.
+function parseCsvRows(content) {
+  const headerLine = content.slice(0, content.indexOf('\n') === -1 ? undefined : content.indexOf('\n'));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Participants ordered by how many messages they sent
+ */
+function listParticipants(messages) {
+  const counts = new Map();
+  for (const message of messages) {
+    counts.set(message.author, (counts.get(message.author) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, messageCount]) => ({ name, messageCount }));
+}
+
+/**
+ * Map export authors onto a transcript. `them` is the participant to analyze;
+ * `me` is the user and defaults to the only other participant. In group chats
+ * `me` is required and everyone else's messages are left out.
+ * Returns { transcript, me, totalMessages, truncated } or { error }.
+ */
+function toTranscript(messages, { them, me } = {}) {
+  const participants = listParticipants(messages).map(participant => participant.name);
+  const findParticipant = name => participants.find(participant =>
+    participant.toLowerCase() === String(name).trim().toLowerCase()
+  );
+
+  const themName = findParticipant(them);
+  if (!themName) {
+    return { error: `"${them}" is not a participant in this chat` };
+  }
+
+  let meName = me ? findParticipant(me) : null;
+  if (me && !meName) {
+    return { error: `"${me}" is not a participant in this chat` };
+  }
+
+  if (!meName) {
+    const others = participants.filter(participant => participant !== themName);
+    if (others.length > 1) {
+      return { error: 'This is a group chat. Also choose which participant is "me"' };
+    }
+    meName = others[0] || null;
+  }
+
+  if (meName === themName) {
+    return { error: '"them" and "me" must be different participants' };
+  }
+
+  const conversation = messages
+    .filter(message => message.author === themName || message.author === meName)
+    .map(message => ({
+      sender: message.author === themName ? 'them' : 'me',
+      text: message.text,
+      ...(message.timestamp && { timestamp: message.timestamp })
+    }));
+
+  const recent = conversation.slice(-MAX_IMPORT_MESSAGES);
+  const { transcript, errors } = normalizeTranscript(recent);
+  if (!transcript) return { error: errors.join('; ') };
+
+  return {
+    transcript,
+    them: themName,
+    me: meName,
+    totalMessages: conversation.length,
+    truncated: conversation.length - recent.length
+  };
+}
+
+// Exports mark some lines with invisible direction characters
+function cleanLine(line) {
+  return line.replace(/^[\u200E\u200F\u202A-\u202E]+/, '');
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_MESSAGES,
+  detectFormat,
+  parseChatExport,
+  listParticipants,
+  toTranscript
+};
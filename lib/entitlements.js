@@ -0,0 +1,95 @@
+// Plan entitlements: which features each subscription tier includes
+//
+// This map is the single source for both access checks (middleware/subscription.js
+// requireFeature) and the feature lists shown by /api/subscriptions/plans.
+// Feature IDs are part of the API (403 responses name them) - don't rename them.
+// The support features and advanced_insights are display-only: no route checks them.
+
+const FEATURES = {
+  analysis: { label: 'AI-powered conversation analysis' },
+  hidden_intent: { label: 'Hidden intent detection' },
+  tactics: { label: 'Manipulation tactics identification' },
+  strategic_replies: { label: 'Strategic reply suggestions' },
+  email_support: { label: 'Email support' },
+  priority_email_support: { label: 'Priority email support' },
+  priority_support: { label: 'Priority support' },
+  history: { label: 'Analysis history' },
+  advanced_insights: { label: 'Advanced insights' },
+  pdf_export: { label: 'Export to PDF' }
+};
+
+// Included in every paid tier
+const BASE_FEATURES = ['analysis', 'hidden_intent', 'tactics', 'strategic_replies'];
+
+// Listed in display order after the base features and the monthly limit
+const TIER_ENTITLEMENTS = {
+  basic: [...BASE_FEATURES, 'email_support'],
+  pro: [...BASE_FEATURES, 'priority_email_support', 'history'],
+  premium: [...BASE_FEATURES, 'priority_support', 'history', 'advanced_insights', 'pdf_export']
+};
+
+// Cheapest first, so upgrade hints can point at the smallest step up
+const TIER_ORDER = ['basic', 'pro', 'premium'];
+
+/**
+ * Feature IDs included in a tier (none for unknown tiers or no subscription)
+ */
+function getTierFeatures(tier) {
+  return TIER_ENTITLEMENTS[tier] || [];
+}
+
+/**
+ * Whether a tier includes a feature
+ */
+function hasFeature(tier, feature) {
+  return getTierFeatures(tier).includes(feature);
+}
+
+/**
+ * Tiers that include a feature, cheapest first
+ */
+function tiersWithFeature(feature) {
+  return TIER_ORDER.filter(tier => hasFeature(tier, feature));
+}
+
+/**
+ * Display label for a feature
+ */
+function featureLabel(feature) {
+  return FEATURES[feature]?.label || feature;
+}
+
+/**
+ * Body of the 403 sent when the user's plan doesn't include a feature.
+ * upgrade.tiers lists the plans that do, cheapest first.
+ */
+function buildUpgradeRequired(feature, currentTier = null) {
+  const tiers = tiersWithFeature(feature);
+  const names = tiers.map(tier => tier.charAt(0).toUpperCase() + tier.slice(1));
+  const plans = names.length > 1
+    ? `the ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} plans`
+    : `the ${names[0]} plan`;
+
+  return {
+    error: 'Upgrade required',
+    message: `${featureLabel(feature)} is available on ${plans}.`,
+    feature,
+    currentTier,
+    upgrade: {
+      tiers,
+      plansUrl: '/api/subscriptions/plans'
+    }
+  };
+}
+
+module.exports = {
+  FEATURES,
+  BASE_FEATURES,
+  TIER_ENTITLEMENTS,
+  TIER_ORDER,
+  getTierFeatures,
+  hasFeature,
+  tiersWithFeature,
+  featureLabel,
+  buildUpgradeRequired
+};
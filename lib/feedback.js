@@ -0,0 +1,98 @@
+// User feedback on stored analyses (POST /api/history/:id/feedback)
+//
+// Users rate the verdict, the behavior label and the reply. Ratings are
+// aggregated per prompt version and label to track prompt quality
+// (scripts/feedback-report.js).
+const { getBehavior } = require('./behaviors');
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// Yes/no request fields -> columns
+const RATING_FIELDS = {
+  helpful: 'helpful',
+  labelCorrect: 'label_correct',
+  replyUsed: 'reply_used'
+};
+
+/**
+ * Validate a feedback body. Returns { feedback } with the columns to store, or { error }.
+ * Only the fields sent are stored, so feedback can be given a bit at a time.
+ */
+function parseFeedback(body) {
+  const feedback = {};
+
+  for (const [field, column] of Object.entries(RATING_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') {
+      return { error: `${field} must be true or false` };
+    }
+    feedback[column] = body[field];
+  }
+
+  if (body.correctBehavior !== undefined) {
+    const behavior = getBehavior(body.correctBehavior);
+    if (!behavior) {
+      return { error: 'correctBehavior must be a behavior id or label from /api/behaviors' };
+    }
+    if (feedback.label_correct === true) {
+      return { error: 'correctBehavior can only be sent when the label was wrong' };
+    }
+
+    // Naming the right label says the given one was wrong
+    feedback.label_correct = false;
+    feedback.correct_behavior = behavior.id;
+  }
+
+  if (body.comment !== undefined) {
+    if (typeof body.comment !== 'string' || body.comment.length > MAX_COMMENT_LENGTH) {
+      return { error: `comment must be text of at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+    feedback.comment = body.comment.trim() || null;
+  }
+
+  if (Object.keys(feedback).length === 0) {
+    return { error: 'Send at least one of: helpful, labelCorrect, correctBehavior, replyUsed, comment' };
+  }
+
+  return { feedback };
+}
+
+/**
+ * Public shape of a stored feedback row
+ */
+function formatFeedback(row) {
+  return {
+    analysisId: row.analysis_id,
+    helpful: row.helpful,
+    labelCorrect: row.label_correct,
+    correctBehavior: row.correct_behavior,
+    replyUsed: row.reply_used,
+    comment: row.comment,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Report rows (migrations/013_analysis_feedback.sql) with rates: the share of
+ * "yes" among users who answered each question, or null when nobody did
+ */
+function summarizeFeedbackReport(rows) {
+  const rate = (yes, no) => (yes + no > 0 ? Math.round((yes / (yes + no)) * 100) / 100 : null);
+
+  return rows.map(row => ({
+    promptVersion: row.prompt_version,
+    behaviorType: row.behavior_type,
+    responses: Number(row.responses),
+    helpfulRate: rate(Number(row.helpful), Number(row.not_helpful)),
+    labelAccuracy: rate(Number(row.label_correct), Number(row.label_wrong)),
+    topCorrection: row.top_correction,
+    replyUseRate: rate(Number(row.reply_used), Number(row.reply_not_used)),
+    comments: Number(row.comments)
+  }));
+}
+
+module.exports = {
+  parseFeedback,
+  formatFeedback,
+  summarizeFeedbackReport
+};
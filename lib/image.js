@@ -0,0 +1,154 @@
+// Screenshot preprocessing before vision calls
+const sharp = require('sharp');
+
+// Vision models tile images at high detail: anything past 2048px on the long
+// edge or 768px on the short edge is scaled down on their side anyway, so we
+// send exactly that and save the upload time and tokens
+const MAX_LONG_EDGE = 2048;
+const MAX_SHORT_EDGE = 768;
+const JPEG_QUALITY = 85;
+
+// Share of the (upright) screenshot height each optional crop removes
+const CROP_REGIONS = {
+  statusBar: { edge: 'top', ratio: 0.06 },
+  keyboard: { edge: 'bottom', ratio: 0.4 }
+};
+
+/**
+ * Parse a comma-separated crop option ("statusBar,keyboard").
+ * Returns { crop } or { error } naming the unknown regions.
+ */
+function parseCropOption(value) {
+  if (!value) return { crop: [] };
+
+  const crop = String(value).split(',').map(region => region.trim()).filter(Boolean);
+  const unknown = crop.filter(region => !CROP_REGIONS[region]);
+
+  if (unknown.length > 0) {
+    return { error: `Unknown crop region: ${unknown.join(', ')}. Use: ${Object.keys(CROP_REGIONS).join(', ')}` };
+  }
+
+  return { crop: [...new Set(crop)] };
+}
+
+/**
+ * Normalize an uploaded screenshot for the vision model:
+ * - applies EXIF orientation, then drops all metadata (EXIF, GPS, ICC)
+ * - decodes HEIC/HEIF, WebP and anything else sharp reads
+ * - optionally crops the status bar and/or keyboard
+ * - downscales to the model's useful resolution and re-encodes as JPEG
+ *
+ * Resolves with { data, mimeType, width, height, originalBytes, bytes }.
+ * Rejects with an error whose code is 'UNSUPPORTED_IMAGE' for undecodable input.
+ */
+async function preprocessImage(buffer, { crop = [] } = {}) {
+  let output;
+
+  // sharp's bundled libvips reads AVIF but not HEVC-encoded HEIC (the iPhone
+  // default), so those go through heic-decode
+  try {
+    output = await render(await openWithSharp(buffer), crop);
+  } catch (sharpError) {
+    if (!isHeif(buffer)) throw unsupported(sharpError);
+
+    try {
+      output = await render(await openWithHeicDecode(buffer), crop);
+    } catch (heicError) {
+      throw unsupported(heicError);
+    }
+  }
+
+  return {
+    data: output.data,
+    mimeType: 'image/jpeg',
+    width: output.info.width,
+    height: output.info.height,
+    originalBytes: buffer.length,
+    bytes: output.data.length
+  };
+}
+
+// Orient, crop, downscale and encode in one pipeline, so libvips streams the
+// image instead of holding every decoded pixel in memory
+async function render(source, crop) {
+  // Crops and sizes are measured on the upright image; sharp applies them after rotate()
+  let top = 0;
+  let height = source.height;
+
+  for (const region of crop) {
+    const cropHeight = Math.round(source.height * CROP_REGIONS[region].ratio);
+    if (CROP_REGIONS[region].edge === 'top') top += cropHeight;
+    height -= cropHeight;
+  }
+
+  if (height <= 0) {
+    top = 0;
+    height = source.height;
+  }
+
+  let pipeline = source.image.rotate();
+
+  if (height !== source.height) {
+    pipeline = pipeline.extract({ left: 0, top, width: source.width, height });
+  }
+
+  const longEdge = Math.max(source.width, height);
+  const shortEdge = Math.min(source.width, height);
+  const scale = Math.min(1, MAX_LONG_EDGE / longEdge, MAX_SHORT_EDGE / shortEdge);
+
+  if (scale < 1) {
+    pipeline = pipeline.resize({
+      width: Math.round(source.width * scale),
+      height: Math.round(height * scale),
+      fit: 'inside'
+    });
+  }
+
+  // Metadata is not carried over unless asked for, so EXIF/GPS never leave the server
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Read the upright size from the header; no pixels are decoded yet
+async function openWithSharp(buffer) {
+  const image = sharp(buffer);
+  const { width, height, orientation } = await image.metadata();
+  if (!width || !height) throw new Error('No image dimensions');
+
+  // EXIF orientations 5-8 turn the image a quarter turn
+  const sideways = orientation >= 5;
+  return { image, width: sideways ? height : width, height: sideways ? width : height };
+}
+
+// The fallback decodes to raw pixels up front: heic-decode can't stream
+async function openWithHeicDecode(buffer) {
+  const decodeHeic = require('heic-decode');
+  const decoded = await decodeHeic({ buffer });
+  const data = Buffer.from(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength);
+
+  return {
+    image: sharp(data, { raw: { width: decoded.width, height: decoded.height, channels: 4 } }),
+    width: decoded.width,
+    height: decoded.height
+  };
+}
+
+// HEIF family files start with an ftyp box naming a HEIF brand
+function isHeif(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 4, 8) !== 'ftyp') return false;
+  return ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12));
+}
+
+function unsupported(cause) {
+  const error = new Error(`Unsupported or corrupt image: ${cause.message}`);
+  error.code = 'UNSUPPORTED_IMAGE';
+  return error;
+}
+
+module.exports = {
+  CROP_REGIONS,
+  parseCropOption,
+  preprocessImage
+};
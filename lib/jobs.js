@@ -0,0 +1,371 @@
+// Asynchronous OCR and analysis jobs (POST /api/jobs)
+//
+// A job is accepted with its usage already reserved, runs in the background on
+// the instance that accepted it and ends up succeeded or failed. Clients poll
+// GET /api/jobs/:id, or pass a callbackUrl that receives the finished job.
+// Jobs left behind by an instance that died or was frozen are restarted by the
+// jobs worker (GET /api/jobs/worker, run by Vercel Cron).
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const fetch = require('node-fetch');
+const { claimJob, completeJob, getStaleJobs, updateJob, commitUsage, refundUsage } = require('./supabase');
+const { returnExtractionCredit } = require('./metering');
+
+// Job type -> the metered route it shares costs, rate limits and results with
+const JOB_TYPES = {
+  ocr: '/api/ocr',
+  'ocr-batch': '/api/ocr/batch',
+  analyze: '/api/analyze'
+};
+
+// Times a job is started before it is given up on
+const MAX_ATTEMPTS = 3;
+const STALE_QUEUED_MS = 30000; // 30 seconds
+const STALE_RUNNING_MS = 5 * 60000; // 5 minutes
+
+const MAX_CALLBACK_URL_LENGTH = 2048;
+const CALLBACK_TIMEOUT = 10000; // 10 seconds
+// Waits between callback attempts (so 3 attempts in total)
+const CALLBACK_RETRY_DELAYS = [2000, 10000];
+
+const ABANDONED_OUTCOME = {
+  status: 500,
+  body: {
+    error: 'Processing failed',
+    message: 'This job could not be completed. Please submit it again.'
+  },
+  charge: false
+};
+
+/**
+ * Validate an optional callback URL.
+ * Returns { callbackUrl } (null when not given) or { error }.
+ * Only https URLs on public hosts are accepted; the resolved address is
+ * checked again on each delivery.
+ */
+function parseCallbackUrl(value) {
+  if (value === undefined || value === null || value === '') return { callbackUrl: null };
+
+  if (typeof value !== 'string' || value.length > MAX_CALLBACK_URL_LENGTH) {
+    return { error: `callbackUrl must be a URL of at most ${MAX_CALLBACK_URL_LENGTH} characters` };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { error: 'callbackUrl must be a valid URL' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { error: 'callbackUrl must use https' };
+  }
+  if (url.username || url.password) {
+    return { error: 'callbackUrl must not contain credentials' };
+  }
+  if (isPrivateHost(url.hostname)) {
+    return { error: 'callbackUrl must point to a public host' };
+  }
+
+  return { callbackUrl: url.toString() };
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || /\.(localhost|local|internal)$/.test(host)) return true;
+  return net.isIP(host) !== 0 && isPrivateAddress(host);
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges.
+// IPv6 addresses that carry an IPv4 address are judged by that address.
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19));
+  }
+
+  const bytes = ipv6Bytes(address);
+  if (!bytes) return true;
+
+  const embedded = embeddedIPv4(bytes);
+  if (embedded) return isPrivateAddress(embedded);
+
+  return (bytes[0] & 0xfe) === 0xfc || // fc00::/7 unique local
+    (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80) || // fe80::/10 link-local
+    (bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0xc0) || // fec0::/10 site-local
+    bytes[0] === 0xff || // ff00::/8 multicast
+    (bytes[0] === 0x20 && bytes[1] === 0x01 && bytes[2] === 0 && bytes[3] === 0) || // 2001::/32 Teredo
+    (bytes[0] === 0x20 && bytes[1] === 0x01 && bytes[2] === 0x0d && bytes[3] === 0xb8) || // 2001:db8::/32 documentation
+    (bytes[0] === 0x01 && bytes.slice(1, 8).every(byte => byte === 0)); // 100::/64 discard
+}
+
+// The IPv4 address inside an IPv4-mapped (::ffff:0:0/96), IPv4-compatible (::/96,
+// which includes :: and ::1), NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address
+function embeddedIPv4(bytes) {
+  const zeros = (from, to) => bytes.slice(from, to).every(byte => byte === 0);
+  const ipv4 = offset => bytes.slice(offset, offset + 4).join('.');
+
+  if (zeros(0, 10) && bytes[10] === 0xff && bytes[11] === 0xff) return ipv4(12);
+  if (zeros(0, 12)) return ipv4(12);
+  if (bytes[0] === 0x00 && bytes[1] === 0x64 && bytes[2] === 0xff && bytes[3] === 0x9b && zeros(4, 12)) return ipv4(12);
+  if (bytes[0] === 0x20 && bytes[1] === 0x02) return ipv4(2);
+  return null;
+}
+
+// The 16 bytes of an IPv6 address (any notation, zone ID ignored), or null if it isn't one
+function ipv6Bytes(address) {
+  let text = address.replace(/%.*$/, '');
+  if (!net.isIPv6(text)) return null;
+
+  // A trailing dotted IPv4 part becomes two hex groups
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+// DNS lookup for callback connections that refuses hosts resolving to an internal
+// address. The connection uses the address checked here, so a second lookup
+// can't answer differently (DNS rebinding).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Callback host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const callbackAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Up to limit abandoned jobs: queued but never picked up, or running for
+ * longer than any job takes
+ */
+function findAbandonedJobs(limit) {
+  const now = Date.now();
+
+  return getStaleJobs({
+    queuedBefore: new Date(now - STALE_QUEUED_MS).toISOString(),
+    runningBefore: new Date(now - STALE_RUNNING_MS).toISOString(),
+    limit
+  });
+}
+
+/**
+ * Public shape of a job, as returned by the API and sent to callbacks
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    completedAt: job.completed_at,
+    ...(job.status === 'succeeded' && { result: job.result }),
+    ...(job.status === 'failed' && { error: job.error }),
+    ...(job.callback_url && {
+      callback: {
+        url: job.callback_url,
+        status: job.callback_status,
+        attempts: job.callback_attempts
+      }
+    })
+  };
+}
+
+/**
+ * Run a queued or abandoned job: claim it, execute it, settle its usage, store
+ * the outcome and notify its callback. execute(job) resolves with the
+ * { status, body, charge } outcome of the matching synchronous route.
+ * Resolves with the finished job, or null when another run claimed it first.
+ */
+async function runJob(job, execute) {
+  const claimed = await claimJob(job);
+  if (!claimed) return null;
+
+  // Claimed only to close it: earlier attempts never finished
+  if (claimed.attempts > MAX_ATTEMPTS) {
+    console.error(`❌ Job ${claimed.id} abandoned after ${MAX_ATTEMPTS} attempts`);
+    return finishJob(claimed, ABANDONED_OUTCOME);
+  }
+
+  console.log(`⚙️ Running job ${claimed.id} (${claimed.type}, attempt ${claimed.attempts})`);
+
+  let outcome;
+  try {
+    outcome = await execute(claimed);
+  } catch (error) {
+    console.error(`❌ Job ${claimed.id} error:`, error);
+    outcome = {
+      status: 500,
+      body: {
+        error: 'Processing failed',
+        message: 'An error occurred while processing this job. Please try again.'
+      },
+      charge: false
+    };
+  }
+
+  return finishJob(claimed, outcome);
+}
+
+// Store the outcome, then settle usage and notify the callback. Only the latest
+// run of a job gets to do this: a run that was restarted meanwhile is dropped.
+async function finishJob(job, outcome) {
+  const succeeded = outcome.status >= 200 && outcome.status < 300;
+
+  // The input (screenshots, transcripts) isn't needed once the job is done
+  const finished = await completeJob(job, {
+    status: succeeded ? 'succeeded' : 'failed',
+    input: null,
+    result: succeeded ? outcome.body : null,
+    error: succeeded ? null : { status: outcome.status, ...outcome.body },
+    completed_at: new Date().toISOString()
+  });
+
+  if (!finished) {
+    console.warn(`⚠️ Job ${job.id} attempt ${job.attempts} was restarted meanwhile, dropping its outcome`);
+    return null;
+  }
+
+  await settleJobUsage(job, succeeded && outcome.charge);
+
+  console.log(`${succeeded ? '✅' : '❌'} Job ${job.id} ${finished.status}`);
+
+  if (finished.callback_url) {
+    return deliverCallback(finished);
+  }
+  return finished;
+}
+
+// Commit the units reserved at submission, or give them (and any extraction credit) back
+async function settleJobUsage(job, charged) {
+  const { reservationId, credit } = job.metering || {};
+
+  if (charged) {
+    if (reservationId) {
+      await commitUsage(reservationId).catch(err => console.error('Usage commit error:', err));
+    }
+    return;
+  }
+
+  if (credit) {
+    await returnExtractionCredit(credit).catch(err =>
+      console.error('Extraction credit return error:', err)
+    );
+  }
+
+  if (reservationId) {
+    await refundUsage(reservationId).catch(err => console.error('Usage refund error:', err));
+  }
+}
+
+/**
+ * POST the finished job to its callback URL, retrying failed deliveries.
+ * With JOBS_CALLBACK_SECRET set, requests carry SubText-Timestamp and
+ * SubText-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<body>") in hex.
+ */
+async function deliverCallback(job) {
+  const { callback, ...payload } = formatJob(job);
+  const body = JSON.stringify(payload);
+
+  let delivered = false;
+  let attempts = job.callback_attempts;
+
+  for (let attempt = 0; attempt <= CALLBACK_RETRY_DELAYS.length && !delivered; attempt++) {
+    if (attempt > 0) await sleep(CALLBACK_RETRY_DELAYS[attempt - 1]);
+    attempts++;
+
+    try {
+      delivered = await postCallback(job.callback_url, job.id, body);
+    } catch (error) {
+      console.error(`Job ${job.id} callback error:`, error.message);
+    }
+  }
+
+  console.log(`${delivered ? '📨' : '⚠️'} Job ${job.id} callback ${delivered ? 'delivered' : 'failed'} (${attempts} attempts)`);
+
+  try {
+    return await updateJob(job.id, { callback_status: delivered ? 'delivered' : 'failed', callback_attempts: attempts });
+  } catch (error) {
+    console.error('Job callback status error:', error);
+    return job;
+  }
+}
+
+async function postCallback(callbackUrl, jobId, body) {
+  // Addresses are connected to without a lookup, so check them here
+  if (isPrivateHost(new URL(callbackUrl).hostname)) {
+    throw new Error('Callback host is a private address');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'SubText-Jobs/1.0',
+    'SubText-Job-Id': jobId
+  };
+
+  if (process.env.JOBS_CALLBACK_SECRET) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    headers['SubText-Timestamp'] = timestamp;
+    headers['SubText-Signature'] = 'sha256=' + crypto
+      .createHmac('sha256', process.env.JOBS_CALLBACK_SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  // Redirects aren't followed: they could lead anywhere, including internal hosts
+  const response = await fetch(callbackUrl, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    agent: callbackAgent,
+    timeout: CALLBACK_TIMEOUT
+  });
+
+  if (!response.ok) {
+    console.warn(`Job ${jobId} callback returned ${response.status}`);
+  }
+  return response.ok;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  JOB_TYPES,
+  parseCallbackUrl,
+  findAbandonedJobs,
+  formatJob,
+  runJob
+};
@@ -0,0 +1,166 @@
+// Language tags, detection and text direction for multilingual conversations
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages written right-to-left (primary subtags)
+const RTL_LANGUAGES = ['ar', 'he', 'fa', 'ur', 'ps', 'sd', 'ug', 'yi', 'dv', 'ckb'];
+
+// Bidi control characters OCR and exports leave in text - they carry no meaning
+// once the text is stored in logical order, and break quote matching
+const BIDI_CONTROLS = /[\u200E\u200F\u061C\u202A-\u202E\u2066-\u2069]/g;
+
+const RTL_CHAR = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+// Non-Latin scripts mostly identify the language on their own
+const SCRIPT_LANGUAGES = [
+  { pattern: /\p{Script=Hebrew}/u, language: 'he' },
+  { pattern: /\p{Script=Arabic}/u, language: 'ar' },
+  { pattern: /\p{Script=Cyrillic}/u, language: 'ru' },
+  { pattern: /\p{Script=Greek}/u, language: 'el' },
+  { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' },
+  { pattern: /\p{Script=Hangul}/u, language: 'ko' },
+  { pattern: /\p{Script=Han}/u, language: 'zh' },
+  { pattern: /\p{Script=Thai}/u, language: 'th' },
+  { pattern: /\p{Script=Devanagari}/u, language: 'hi' }
+];
+
+// Letters that tell languages sharing a script apart
+const SCRIPT_VARIANTS = {
+  ar: [
+    { pattern: /[\u0679\u0688\u0691\u06BA\u06D2]/, language: 'ur' },
+    { pattern: /[\u067E\u0686\u0698\u06AF]/, language: 'fa' }
+  ],
+  ru: [{ pattern: /[\u0456\u0457\u0454\u0491]/i, language: 'uk' }],
+  // Kana mixed with Han is Japanese
+  zh: [{ pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, language: 'ja' }]
+};
+
+// Frequent, fairly distinctive words for Latin-script languages
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'you', 'that', 'is', 'are', 'what', 'with', 'this', 'have', 'not', 'just', 'your', 'was', 'for', 'my', 'dont', 'im', 'its', 'why', 'it'],
+  es: ['que', 'de', 'el', 'los', 'las', 'es', 'por', 'pero', 'para', 'con', 'una', 'estas', 'eres', 'muy', 'como', 'yo', 'te', 'lo', 'siempre', 'nunca', 'y'],
+  pt: ['não', 'nao', 'você', 'voce', 'vc', 'eu', 'é', 'um', 'uma', 'com', 'para', 'mas', 'isso', 'tá', 'está', 'meu', 'minha', 'sempre', 'nunca', 'também'],
+  fr: ['je', 'tu', 'pas', 'le', 'les', 'est', 'et', 'une', 'vous', 'moi', 'cest', 'mais', 'pour', 'avec', 'tout', 'ça', 'toi', 'jamais', 'toujours', 'suis'],
+  de: ['ich', 'du', 'nicht', 'und', 'ist', 'das', 'die', 'der', 'ein', 'eine', 'mit', 'mir', 'dich', 'aber', 'auch', 'was', 'wie', 'bist', 'immer', 'nie'],
+  it: ['che', 'non', 'di', 'il', 'sono', 'sei', 'ma', 'per', 'con', 'io', 'mi', 'ti', 'è', 'anche', 'perché', 'sempre', 'mai', 'cosa', 'ho', 'hai'],
+  nl: ['ik', 'je', 'niet', 'het', 'een', 'en', 'dat', 'van', 'met', 'maar', 'wat', 'jij', 'mij', 'ook', 'ben', 'heb', 'altijd', 'nooit', 'zijn', 'wel']
+};
+
+// Too little text to tell Latin-script languages apart
+const MIN_STOPWORD_HITS = 2;
+
+/**
+ * Canonicalize a BCP 47 tag ("ES-mx" -> "es-MX"). Returns null for anything invalid.
+ */
+function normalizeLanguage(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag.trim());
+    return canonical || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * First language from an Accept-Language header, or null
+ */
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return null;
+
+  const [first] = header.split(',');
+  const tag = first.split(';')[0].trim();
+  return tag === '*' ? null : normalizeLanguage(tag);
+}
+
+/**
+ * English name of a language for prompts ("es-MX" -> "Mexican Spanish")
+ */
+function languageName(tag) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+  } catch (error) {
+    return tag;
+  }
+}
+
+function primarySubtag(tag) {
+  return String(tag || '').split('-')[0].toLowerCase();
+}
+
+/**
+ * 'rtl' for right-to-left languages, otherwise 'ltr'
+ */
+function languageDirection(tag) {
+  return RTL_LANGUAGES.includes(primarySubtag(tag)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Direction of a text from its first strongly directional character
+ */
+function textDirection(text) {
+  for (const char of String(text || '')) {
+    if (RTL_CHAR.test(char)) return 'rtl';
+    if (/\p{L}/u.test(char)) return 'ltr';
+  }
+  return 'ltr';
+}
+
+/**
+ * Remove invisible bidi control characters
+ */
+function stripBidiControls(text) {
+  return text.replace(BIDI_CONTROLS, '');
+}
+
+/**
+ * Best guess at the language of a set of messages, or null when unsure.
+ * Script decides for non-Latin text; common words decide between Latin-script languages.
+ */
+function detectLanguage(texts) {
+  const text = texts.join('\n');
+  const letters = [...text].filter(char => /\p{L}/u.test(char));
+  if (letters.length === 0) return null;
+
+  // A script used by most of the letters wins outright
+  for (const { pattern, language } of SCRIPT_LANGUAGES) {
+    const count = letters.filter(char => pattern.test(char)).length;
+    if (count / letters.length > 0.5) {
+      const variant = (SCRIPT_VARIANTS[language] || []).find(candidate => candidate.pattern.test(text));
+      return variant ? variant.language : language;
+    }
+  }
+
+  const words = text.toLowerCase().replace(/['’]/g, '').split(/[^\p{L}]+/u).filter(Boolean);
+  const scores = Object.entries(LATIN_STOPWORDS)
+    .map(([language, stopwords]) => ({
+      language,
+      hits: words.filter(word => stopwords.includes(word)).length
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (best.hits < MIN_STOPWORD_HITS || best.hits === runnerUp.hits) return null;
+
+  return best.language;
+}
+
+/**
+ * Whether two tags share a language ("en" and "en-GB" do)
+ */
+function sameLanguage(a, b) {
+  return Boolean(a && b) && primarySubtag(a) === primarySubtag(b);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  languageName,
+  languageDirection,
+  textDirection,
+  stripBidiControls,
+  detectLanguage,
+  sameLanguage
+};
@@ -0,0 +1,104 @@
+// LLM provider layer - every AI route goes through here instead of calling a vendor directly
+//
+// Request shape:
+//   { messages, temperature, maxTokens, jsonMode, signal }
+//   message content is a string or a list of parts:
+//   { type: 'text', text } | { type: 'image', data: <base64>, mimeType }
+//
+// Provider and model are chosen per route:
+//   LLM_<ROUTE>_PROVIDER / LLM_<ROUTE>_MODEL (e.g. LLM_OCR_MODEL), then
+//   LLM_PROVIDER / LLM_MODEL, then ROUTE_DEFAULTS below.
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { createRecordedProvider } = require('./recorded');
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY
+  }),
+
+  // Local or self-hosted servers exposing the OpenAI API (Ollama, vLLM, LM Studio...)
+  'openai-compatible': () => {
+    if (!process.env.LLM_COMPATIBLE_BASE_URL) {
+      throw new Error('LLM_COMPATIBLE_BASE_URL must be set to use the openai-compatible provider');
+    }
+
+    return createOpenAIProvider({
+      name: 'openai-compatible',
+      baseUrl: process.env.LLM_COMPATIBLE_BASE_URL,
+      apiKey: process.env.LLM_COMPATIBLE_API_KEY
+    });
+  },
+
+  mock: () => createMockProvider(),
+
+  // Replays LLM_RECORDINGS_FILE; with LLM_RECORD_PROVIDER set, records what's missing from that provider
+  recorded: () => createRecordedProvider({
+    file: process.env.LLM_RECORDINGS_FILE,
+    recordWith: process.env.LLM_RECORD_PROVIDER ? getProvider(process.env.LLM_RECORD_PROVIDER) : null
+  })
+};
+
+const ROUTE_DEFAULTS = {
+  ocr: { provider: 'openai', model: 'gpt-4o' },
+  analyze: { provider: 'openai', model: 'gpt-4o' },
+  // Runs before every analysis, so it uses a fast, cheap model
+  safety: { provider: 'openai', model: 'gpt-4o-mini' }
+};
+
+// Providers are created on first use and reused
+const providers = {};
+
+/**
+ * Resolve the provider name and model configured for a route
+ */
+function getRouteConfig(route) {
+  const defaults = ROUTE_DEFAULTS[route];
+  if (!defaults) throw new Error(`Unknown LLM route: ${route}`);
+
+  const prefix = `LLM_${route.toUpperCase()}`;
+
+  return {
+    provider: process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || defaults.provider,
+    model: process.env[`${prefix}_MODEL`] || process.env.LLM_MODEL || defaults.model
+  };
+}
+
+/**
+ * Get (or create) a provider instance by name
+ */
+function getProvider(name) {
+  if (!providers[name]) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider: ${name}`);
+    providers[name] = factory();
+  }
+
+  return providers[name];
+}
+
+/**
+ * Run a completion for a route. Resolves with { content, usage }.
+ */
+async function complete(route, request) {
+  const { provider, model } = getRouteConfig(route);
+  return getProvider(provider).complete({ model, ...request });
+}
+
+/**
+ * Stream a completion for a route, calling onToken per chunk. Resolves with { content }.
+ */
+async function stream(route, request, onToken) {
+  const { provider, model } = getRouteConfig(route);
+  return getProvider(provider).stream({ model, ...request }, onToken);
+}
+
+module.exports = {
+  ROUTE_DEFAULTS,
+  getRouteConfig,
+  getProvider,
+  complete,
+  stream
+};
@@ -0,0 +1,159 @@
+// Deterministic mock provider for offline development.
+// The same request always produces the same output, and no network is used.
+const crypto = require('crypto');
+
+const SAMPLE_CONVERSATIONS = [
+  ['Hey stranger 👀', 'Guess you\'re too busy for me these days', 'It\'s fine, I\'m used to it'],
+  ['I never said that, you\'re remembering it wrong', 'You always twist my words'],
+  ['Nobody has ever understood me like you do', 'I already told my mom about us ❤️']
+];
+
+const SAMPLE_ANALYSES = [
+  {
+    hiddenIntent: 'They want you to feel guilty for not reaching out so you\'ll over-apologize.',
+    behaviorType: 'GUILT TRIPPING',
+    behaviorId: 'guilt_tripping',
+    reply: 'Phones work both ways. What\'s up?'
+  },
+  {
+    hiddenIntent: 'They\'re rewriting what happened so you start doubting your own memory.',
+    behaviorType: 'GASLIGHTING',
+    behaviorId: 'gaslighting',
+    reply: 'I remember it just fine, thanks.'
+  },
+  {
+    hiddenIntent: 'They\'re moving fast to lock you in before you have time to think.',
+    behaviorType: 'LOVE BOMBING',
+    behaviorId: 'love_bombing',
+    reply: 'That\'s a lot for this stage. Let\'s slow down.'
+  }
+];
+
+const MOCK_TONES = ['savage', 'boundary', 'deescalate', 'professional'];
+
+/**
+ * Create the mock provider
+ */
+function createMockProvider({ name = 'mock' } = {}) {
+  async function complete(request) {
+    return { content: respond(request), usage: null };
+  }
+
+  async function stream(request, onToken) {
+    const content = respond(request);
+
+    // Word-sized chunks so clients see a realistic token stream
+    for (const token of content.match(/\S+\s*|\s+/g) || []) {
+      onToken(token);
+    }
+
+    return { content };
+  }
+
+  return { name, complete, stream };
+}
+
+function respond(request) {
+  const systemPrompt = request.messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n');
+  const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+  const seed = pick(JSON.stringify(lastUser?.content || ''));
+
+  if (hasImage(request.messages)) {
+    const conversation = SAMPLE_CONVERSATIONS[seed % SAMPLE_CONVERSATIONS.length];
+
+    // Transcript extraction asks for JSON; received-only extraction uses markers
+    if (request.jsonMode) {
+      return JSON.stringify({
+        language: 'en',
+        transcript: conversation.flatMap((text, i) => [
+          { sender: 'them', text, timestamp: `9:${String(10 + i * 2).padStart(2, '0')} PM` },
+          ...(i === 0 ? [{ sender: 'me', text: 'hey what\'s up', timestamp: '9:11 PM' }] : [])
+        ])
+      });
+    }
+
+    return `RECEIVED_MESSAGES_START\n${conversation.join('\n')}\nRECEIVED_MESSAGES_END\nLANGUAGE: en`;
+  }
+
+  if (systemPrompt.includes('safety classifier')) {
+    return classifySafety(JSON.stringify(lastUser?.content || ''));
+  }
+
+  if (systemPrompt.includes('HOW TO REFINE')) {
+    return refine(request.messages, String(lastUser?.content || ''));
+  }
+
+  const sample = SAMPLE_ANALYSES[seed % SAMPLE_ANALYSES.length];
+
+  if (request.jsonMode) {
+    const behaviors = [{
+      id: sample.behaviorId,
+      confidence: 0.8,
+      evidence: quotedMessages(request.messages).slice(0, 1)
+    }];
+
+    const variantMatch = systemPrompt.match(/EXACTLY (\d+) variants/);
+
+    if (variantMatch) {
+      const count = parseInt(variantMatch[1], 10);
+      return JSON.stringify({
+        hiddenIntent: sample.hiddenIntent,
+        behaviors,
+        variants: Array.from({ length: count }, (_, i) => ({
+          tone: MOCK_TONES[i % MOCK_TONES.length],
+          reply: i === 0 ? sample.reply : `${sample.reply} (${MOCK_TONES[i % MOCK_TONES.length]} take)`,
+          escalationRisk: Math.round((0.7 - i * 0.15) * 100) / 100
+        }))
+      });
+    }
+
+    return JSON.stringify({
+      hiddenIntent: sample.hiddenIntent,
+      behaviors,
+      strategicReply: sample.reply
+    });
+  }
+
+  return `**Hidden Intent:**\n${sample.hiddenIntent}\n\n**Behavior Type:**\n${sample.behaviorType}\n\n**Strategic Reply:**\n${sample.reply}`;
+}
+
+// Flags only the most explicit phrases, enough to exercise the safety path offline
+function classifySafety(conversation) {
+  const match = conversation.match(/kill myself|hurt you|know where you live/i);
+  if (!match) return JSON.stringify({ severity: 'none', categories: [] });
+
+  const id = { 'kill myself': 'self_harm', 'hurt you': 'violence', 'know where you live': 'stalking' }[match[0].toLowerCase()];
+  return JSON.stringify({ severity: 'high', categories: [{ id, severity: 'high', evidence: [match[0]] }] });
+}
+
+// Follows the most common instructions, enough to exercise refinement offline
+function refine(messages, instruction) {
+  const previous = [...messages].reverse().find(message => message.role === 'assistant')?.content || '';
+
+  if (/short/i.test(instruction)) return previous.split(/(?<=[.!?])\s+/)[0];
+  if (/emoji/i.test(instruction)) return `${previous} 🙂`;
+  return previous;
+}
+
+// Their messages as quoted in the analysis prompt, so evidence is always real
+function quotedMessages(messages) {
+  const firstUser = messages.find(message => message.role === 'user');
+  const content = typeof firstUser?.content === 'string' ? firstUser.content : '';
+  return [...content.matchAll(/^(?:Them: )?"(.+)"$/gm)].map(match => match[1]);
+}
+
+function hasImage(messages) {
+  return messages.some(message =>
+    Array.isArray(message.content) && message.content.some(part => part.type === 'image')
+  );
+}
+
+// Stable integer from a string
+function pick(text) {
+  return crypto.createHash('sha1').update(text).digest().readUInt32BE(0);
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,99 @@
+// OpenAI chat completions provider (also used for OpenAI-compatible servers)
+const { StringDecoder } = require('string_decoder');
+const fetch = require('node-fetch');
+
+/**
+ * Create a provider that talks the OpenAI chat completions protocol
+ */
+function createOpenAIProvider({ name = 'openai', baseUrl, apiKey }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function send(request, extra = {}) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model: request.model,
+        messages: request.messages.map(toOpenAIMessage),
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        ...(request.jsonMode && { response_format: { type: 'json_object' } }),
+        ...extra
+      }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`${name} request failed (${response.status}): ${errorData.error?.message || JSON.stringify(errorData)}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Run a completion and resolve with { content, usage }
+   */
+  async function complete(request) {
+    const response = await send(request);
+    const data = await response.json();
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      usage: data.usage || null
+    };
+  }
+
+  /**
+   * Stream a completion, calling onToken per chunk. Resolves with { content }.
+   */
+  async function stream(request, onToken) {
+    const response = await send(request, { stream: true });
+
+    let content = '';
+    let buffered = '';
+    // Keeps a multi-byte character split across two chunks in one piece
+    const decoder = new StringDecoder('utf8');
+
+    for await (const chunk of response.body) {
+      buffered += decoder.write(chunk);
+
+      // Servers send "data: {...}" lines; keep any partial line for the next chunk
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const payload = line.replace(/^data:\s*/, '').trim();
+        if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+        const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (token) {
+          content += token;
+          onToken(token);
+        }
+      }
+    }
+
+    return { content };
+  }
+
+  return { name, complete, stream };
+}
+
+// Convert our { type: 'image', data, mimeType } parts to OpenAI image_url parts
+function toOpenAIMessage(message) {
+  if (typeof message.content === 'string') return message;
+
+  return {
+    role: message.role,
+    content: message.content.map(part => part.type === 'image'
+      ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+      : part
+    )
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,82 @@
+// Recorded provider: replays completions saved from a real provider, so prompt
+// evaluations run offline and give the same answer every time.
+//
+// Recordings are a JSON file of request key -> { model, content }. The key hashes
+// the messages and options, so editing a prompt changes it: the old recording
+// no longer matches and the request fails with code NO_RECORDING until it is
+// recorded again. In record mode (recordWith), misses go to the real provider
+// and are added to the file.
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Key of a completion request: everything that shapes the output, except the model
+ */
+function recordingKey(request) {
+  const { messages, temperature = null, maxTokens = null, jsonMode = false } = request;
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ messages, temperature, maxTokens, jsonMode }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Create the recorded provider over a recordings file
+ */
+function createRecordedProvider({ name = 'recorded', file, recordWith = null }) {
+  if (!file) {
+    throw new Error('LLM_RECORDINGS_FILE must be set to use the recorded provider');
+  }
+
+  let recordings = null;
+
+  function load() {
+    if (!recordings) {
+      recordings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+    return recordings;
+  }
+
+  // Sorted keys keep the file stable, so re-recording shows up as a small diff
+  function save() {
+    const sorted = Object.fromEntries(Object.keys(recordings).sort().map(key => [key, recordings[key]]));
+    fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + '\n');
+  }
+
+  async function complete(request) {
+    const key = recordingKey(request);
+    const recording = load()[key];
+    if (recording) return { content: recording.content, usage: null };
+
+    if (!recordWith) {
+      const error = new Error(`No recording for request ${key} in ${file}`);
+      error.code = 'NO_RECORDING';
+      throw error;
+    }
+
+    const result = await recordWith.complete(request);
+    recordings[key] = { model: request.model, content: result.content };
+    save();
+
+    return result;
+  }
+
+  async function stream(request, onToken) {
+    const { content } = await complete(request);
+
+    for (const token of content.match(/\S+\s*|\s+/g) || []) {
+      onToken(token);
+    }
+
+    return { content };
+  }
+
+  return { name, complete, stream };
+}
+
+module.exports = {
+  recordingKey,
+  createRecordedProvider
+};
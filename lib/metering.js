@@ -0,0 +1,94 @@
+// Usage metering for AI routes
+//
+// Every metered route declares its cost in analysis units (one unit = one
+// analysis against the monthly plan limit). Units are reserved in the usage
+// ledger before the work starts, then committed or refunded (lib/supabase.js).
+// Reading a screenshot and then analyzing it is one analysis: a charged
+// extraction issues a credit that makes analyzing those same messages free.
+// Clients don't need to send anything for it, and the credit can't be spent
+// on any other text.
+const crypto = require('crypto');
+const { createStore } = require('./store');
+
+const ROUTE_COSTS = {
+  '/api/ocr': 1,
+  '/api/ocr/batch': 1,
+  '/api/analyze': 1,
+  '/api/analyze/stream': 1,
+  '/api/import': 1, // only when the import is analyzed
+  '/api/extract': 0, // no model call, but still subscribers only
+  '/api/history/:id/refinements': 1 // once an analysis' free refinements are used up
+};
+
+// Routes where an extraction credit covers the cost
+const CREDIT_ROUTES = ['/api/analyze', '/api/analyze/stream'];
+
+// How long an extraction credit can be redeemed for
+const CREDIT_TTL = 3600000; // 1 hour
+
+// Extraction credits ("<userId>:<fingerprint>" -> { expiresAt }), shared across instances
+const extractionCredits = createStore('extraction-credits');
+
+/**
+ * Cost of a metered route in analysis units
+ */
+function getRouteCost(route) {
+  if (!Object.prototype.hasOwnProperty.call(ROUTE_COSTS, route)) {
+    throw new Error(`No cost declared for route: ${route}`);
+  }
+  return ROUTE_COSTS[route];
+}
+
+/**
+ * Fingerprint of the other person's messages, the same whether they come as a
+ * list, as OCR text with one message per line, or with different spacing or case
+ */
+function conversationFingerprint(messages) {
+  const lines = messages
+    .flatMap(message => String(message).split('\n'))
+    .map(line => line.trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+function creditKey(userId, messages) {
+  return `${userId}:${conversationFingerprint(messages)}`;
+}
+
+/**
+ * Issue a single-use credit for analyzing the messages of a charged extraction
+ */
+async function issueExtractionCredit(userId, messages) {
+  await extractionCredits.set(creditKey(userId, messages), { expiresAt: Date.now() + CREDIT_TTL }, { ttl: CREDIT_TTL });
+}
+
+/**
+ * Take the user's credit for these messages so no concurrent request can spend it too.
+ * Resolves with the credit ({ key, expiresAt }), or null if there is none.
+ */
+async function takeExtractionCredit(userId, messages) {
+  if (messages.length === 0) return null;
+
+  const key = creditKey(userId, messages);
+  const credit = await extractionCredits.take(key);
+  return credit ? { key, ...credit } : null;
+}
+
+/**
+ * Put back a credit taken by a request that then failed
+ */
+async function returnExtractionCredit({ key, expiresAt }) {
+  const ttl = expiresAt - Date.now();
+  if (ttl > 0) await extractionCredits.set(key, { expiresAt }, { ttl });
+}
+
+module.exports = {
+  ROUTE_COSTS,
+  CREDIT_ROUTES,
+  getRouteCost,
+  conversationFingerprint,
+  issueExtractionCredit,
+  takeExtractionCredit,
+  returnExtractionCredit
+};
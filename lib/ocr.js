@@ -0,0 +1,184 @@
+// Vision extraction of messages from conversation screenshots
+const llm = require('./llm');
+const { getPrompt, renderTemplate } = require('./prompts');
+const { normalizeTranscript, receivedMessages } = require('./transcript');
+const { normalizeLanguage, detectLanguage, stripBidiControls } = require('./language');
+
+// received   - flat text of the messages the user received (original behavior)
+// transcript - ordered two-sided transcript with speaker attribution
+const OCR_MODES = {
+  received: { promptId: 'ocr-extraction', jsonMode: false },
+  transcript: { promptId: 'ocr-transcript', jsonMode: true }
+};
+
+const INVALID_IMAGE_ERROR = {
+  status: 400,
+  error: 'Invalid image',
+  message: 'This image does not appear to contain text messages. Please upload a screenshot of a conversation.'
+};
+
+const NO_MESSAGES_ERROR = {
+  status: 400,
+  error: 'No messages found',
+  message: 'Could not find any text messages in this image. Please upload a clear screenshot of a conversation.'
+};
+
+/**
+ * Resolve the versioned prompt a user gets for an OCR mode
+ */
+function getOcrPrompt(mode, userId) {
+  return getPrompt(OCR_MODES[mode].promptId, userId);
+}
+
+/**
+ * Run the vision model over one image.
+ * Resolves with { text, language } (received mode) or { text, transcript, language }
+ * (transcript mode), or { error: { status, error, message } } when nothing usable comes back.
+ * language is the model's answer when the prompt asks for one, otherwise a local guess (or null).
+ */
+async function extractFromImage({ data, mimeType }, { mode = 'received', prompt }) {
+  let visionResult;
+  try {
+    visionResult = await llm.complete('ocr', {
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: renderTemplate(prompt.parts.instructions)
+            },
+            {
+              type: 'image',
+              data,
+              mimeType
+            }
+          ]
+        }
+      ],
+      maxTokens: mode === 'transcript' ? 2500 : 1500,
+      temperature: 0.1,
+      jsonMode: OCR_MODES[mode].jsonMode
+    });
+  } catch (visionError) {
+    console.error('Vision provider error:', visionError);
+    return {
+      error: {
+        status: 500,
+        error: 'Vision API failed',
+        message: 'Failed to process image. Please try again.'
+      }
+    };
+  }
+
+  if (!visionResult.content) {
+    return {
+      error: {
+        status: 500,
+        error: 'No response from Vision API',
+        message: 'Failed to extract text from image. Please try again.'
+      }
+    };
+  }
+
+  const responseContent = visionResult.content.trim();
+  console.log('=== VISION API RESPONSE ===');
+  console.log('Length:', responseContent.length);
+  console.log('Content:', responseContent);
+  console.log('===========================');
+
+  return mode === 'transcript'
+    ? parseTranscriptResponse(responseContent)
+    : parseReceivedResponse(responseContent);
+}
+
+function parseReceivedResponse(responseContent) {
+  // Check if image doesn't contain messages
+  if (responseContent.includes('ERROR:') ||
+      responseContent.toLowerCase().includes('does not contain text messages') ||
+      responseContent.toLowerCase().includes('not a conversation')) {
+    return { error: INVALID_IMAGE_ERROR };
+  }
+
+  // Prompt versions from v2 on report the language on a line after the messages
+  const languageMatch = responseContent.match(/^LANGUAGE:\s*([A-Za-z-]+)\s*$/m);
+
+  // Extract only RECEIVED messages
+  const startMarker = 'RECEIVED_MESSAGES_START';
+  const endMarker = 'RECEIVED_MESSAGES_END';
+
+  const startIndex = responseContent.indexOf(startMarker);
+  const endIndex = responseContent.indexOf(endMarker);
+
+  let extractedText;
+
+  if (startIndex !== -1 && endIndex !== -1) {
+    const messagesSection = responseContent.substring(
+      startIndex + startMarker.length,
+      endIndex
+    ).trim();
+
+    extractedText = messagesSection;
+    console.log('✅ Found marked section:', extractedText.substring(0, 100) + '...');
+  } else {
+    // Fallback - use entire response
+    console.log('⚠️ No markers found, using entire response');
+    extractedText = responseContent.replace(/^LANGUAGE:.*$/m, '').trim();
+  }
+
+  extractedText = stripBidiControls(extractedText);
+
+  // Robust validation - check if we got actual text content
+  const hasContent = extractedText && extractedText.trim().length > 0;
+  const isErrorMessage = extractedText && (
+    extractedText.toLowerCase().includes('no text messages') ||
+    extractedText.toLowerCase().includes('cannot identify') ||
+    extractedText.toLowerCase().includes('unable to') ||
+    extractedText.toLowerCase().startsWith('error')
+  );
+
+  if (!hasContent || isErrorMessage) {
+    console.log('❌ Validation failed:', { hasContent, isErrorMessage, extractedText: extractedText?.substring(0, 50) });
+    return { error: NO_MESSAGES_ERROR };
+  }
+
+  return {
+    text: extractedText,
+    language: normalizeLanguage(languageMatch?.[1]) || detectLanguage([extractedText])
+  };
+}
+
+function parseTranscriptResponse(responseContent) {
+  let parsed;
+  try {
+    // Tolerate code fences around the JSON
+    parsed = JSON.parse(responseContent.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    console.log('❌ Transcript is not valid JSON');
+    return { error: NO_MESSAGES_ERROR };
+  }
+
+  if (parsed.error) {
+    return { error: INVALID_IMAGE_ERROR };
+  }
+
+  const { transcript, errors } = normalizeTranscript(parsed.transcript);
+  if (!transcript) {
+    console.log('❌ Transcript validation failed:', errors);
+    return { error: NO_MESSAGES_ERROR };
+  }
+
+  console.log(`✅ Extracted transcript: ${transcript.length} messages`);
+
+  return {
+    text: receivedMessages(transcript).join('\n'),
+    transcript,
+    language: normalizeLanguage(parsed.language) || detectLanguage(transcript.map(message => message.text))
+  };
+}
+
+module.exports = {
+  OCR_MODES,
+  getOcrPrompt,
+  extractFromImage
+};
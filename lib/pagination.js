@@ -0,0 +1,28 @@
+// Query-string pagination helpers
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Read ?page= and ?limit= into a { page, limit, offset } window
+ */
+function parsePagination(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Build the pagination block returned alongside list results
+ */
+function paginationMeta({ page, limit }, total) {
+  return {
+    page,
+    limit,
+    total,
+    hasMore: page * limit < total
+  };
+}
+
+module.exports = { parsePagination, paginationMeta };
@@ -0,0 +1,196 @@
+// PDF export of a saved analysis, rendered server-side with pdfkit
+//
+// The built-in Helvetica only covers Western European text. Set PDF_FONT_PATH
+// (and optionally PDF_BOLD_FONT_PATH) to a TrueType font such as Noto Sans or
+// DejaVu Sans to export conversations in other scripts.
+const PDFDocument = require('pdfkit');
+const { getBehavior, NO_BEHAVIOR } = require('./behaviors');
+const { textDirection, languageName } = require('./language');
+
+const PAGE_MARGIN = 56;
+
+const COLORS = {
+  text: '#1f2328',
+  muted: '#6e7781',
+  accent: '#7c3aed',
+  rule: '#d0d7de'
+};
+
+// Characters the standard fonts can encode beyond Latin-1 (WinAnsiEncoding)
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\uFE0F\u200D\u20E3]/gu;
+
+/**
+ * Fonts to draw with: the configured TrueType files, or Helvetica
+ */
+function resolveFonts() {
+  const regular = process.env.PDF_FONT_PATH;
+  if (!regular) return { regular: 'Helvetica', bold: 'Helvetica-Bold', unicode: false };
+
+  return { regular, bold: process.env.PDF_BOLD_FONT_PATH || regular, unicode: true };
+}
+
+/**
+ * Make text drawable with the chosen font. Emoji are dropped either way (no
+ * common text font has them); Helvetica gets "?" for anything it can't encode.
+ */
+function printable(text, fonts) {
+  const cleaned = String(text ?? '').replace(EMOJI, '').replace(/[ \t]+$/gm, '');
+  if (fonts.unicode) return cleaned;
+
+  return [...cleaned]
+    .map(char => (char.charCodeAt(0) <= 0x7F || (char.charCodeAt(0) >= 0xA0 && char.charCodeAt(0) <= 0xFF) ||
+      char === '\n' || WIN_ANSI_EXTRAS.includes(char) ? char : '?'))
+    .join('');
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return new Intl.DateTimeFormat('en-US', {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  }).format(date) + ' UTC';
+}
+
+function formatPercent(confidence) {
+  return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : null;
+}
+
+/**
+ * Conversation lines for the export: the transcript when there is one,
+ * otherwise the received messages
+ */
+function conversationLines(entry) {
+  if (Array.isArray(entry.transcript) && entry.transcript.length > 0) {
+    return entry.transcript.map(message => ({
+      speaker: message.sender === 'me' ? 'Me' : 'Them',
+      text: message.text,
+      timestamp: message.timestamp || null
+    }));
+  }
+
+  return String(entry.extractedText || '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(text => ({ speaker: null, text, timestamp: null }));
+}
+
+/**
+ * Behaviors to list, falling back to the single label older entries stored
+ */
+function behaviorLines(entry) {
+  if (Array.isArray(entry.behaviors) && entry.behaviors.length > 0) {
+    return entry.behaviors.map(behavior => ({
+      label: getBehavior(behavior.id)?.label || behavior.id,
+      confidence: behavior.id === NO_BEHAVIOR ? null : formatPercent(behavior.confidence),
+      evidence: (behavior.evidence || []).map(item => (typeof item === 'string' ? item : item.quote)).filter(Boolean)
+    }));
+  }
+
+  return entry.behaviorType ? [{ label: entry.behaviorType, confidence: null, evidence: [] }] : [];
+}
+
+/**
+ * Render an analysis (as returned by formatAnalysisEntry) to a PDF.
+ * Resolves with the file as a Buffer.
+ */
+function renderAnalysisPdf(entry) {
+  return new Promise((resolve, reject) => {
+    const fonts = resolveFonts();
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: 'SubText Analysis',
+        Author: 'SubText',
+        CreationDate: new Date()
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const width = doc.page.width - PAGE_MARGIN * 2;
+
+      // Right-to-left paragraphs are right-aligned; fontkit handles the glyph order
+      const paragraph = (text, { font = fonts.regular, size = 11, color = COLORS.text, indent = 0 } = {}) => {
+        const value = printable(text, fonts);
+        doc.font(font).fontSize(size).fillColor(color).text(value, PAGE_MARGIN + indent, doc.y, {
+          width: width - indent,
+          align: textDirection(value) === 'rtl' ? 'right' : 'left'
+        });
+      };
+
+      const heading = title => {
+        doc.moveDown(1);
+        doc.font(fonts.bold).fontSize(13).fillColor(COLORS.accent).text(title, PAGE_MARGIN, doc.y, { width });
+        doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(PAGE_MARGIN + width, doc.y + 2).strokeColor(COLORS.rule).stroke();
+        doc.moveDown(0.6);
+      };
+
+      // Title and details
+      doc.font(fonts.bold).fontSize(20).fillColor(COLORS.text).text('SubText Analysis', { width });
+      const details = [
+        formatDate(entry.createdAt),
+        entry.tone && `Tone: ${entry.tone}`,
+        entry.language && `Language: ${languageName(entry.language)}`
+      ].filter(Boolean);
+      if (details.length > 0) paragraph(details.join('  |  '), { size: 10, color: COLORS.muted });
+
+      heading('Messages');
+      const lines = conversationLines(entry);
+      if (lines.length === 0) paragraph('No messages saved.', { color: COLORS.muted });
+      for (const line of lines) {
+        if (line.speaker) {
+          const label = line.timestamp ? `${line.speaker} (${line.timestamp})` : line.speaker;
+          paragraph(label, { font: fonts.bold, size: 9, color: line.speaker === 'Me' ? COLORS.muted : COLORS.accent });
+        }
+        paragraph(line.text);
+        doc.moveDown(0.4);
+      }
+
+      heading('Hidden Intent');
+      paragraph(entry.hiddenIntent || 'Not available.');
+
+      heading('Behaviors');
+      const behaviors = behaviorLines(entry);
+      if (behaviors.length === 0) paragraph('Not available.', { color: COLORS.muted });
+      for (const behavior of behaviors) {
+        paragraph(behavior.confidence ? `${behavior.label} (${behavior.confidence})` : behavior.label, { font: fonts.bold });
+        for (const quote of behavior.evidence) {
+          paragraph(`"${quote}"`, { size: 10, color: COLORS.muted, indent: 12 });
+        }
+        doc.moveDown(0.4);
+      }
+
+      heading('Strategic Reply');
+      paragraph(entry.strategicReply || 'Not available.');
+
+      const alternatives = (entry.replyVariants || []).filter(variant => variant.reply && variant.reply !== entry.strategicReply);
+      if (alternatives.length > 0) {
+        heading('Other Replies');
+        for (const variant of alternatives) {
+          const meta = [variant.tone, variant.escalationLevel && `${variant.escalationLevel} escalation risk`].filter(Boolean).join(', ');
+          if (meta) paragraph(meta, { font: fonts.bold, size: 9, color: COLORS.muted });
+          paragraph(variant.reply);
+          doc.moveDown(0.4);
+        }
+      }
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderAnalysisPdf
+};
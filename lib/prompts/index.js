@@ -0,0 +1,129 @@
+// Versioned prompt registry with deterministic A/B assignment
+//
+// Prompts live in ./templates as { <version>: { <part>: template } }.
+// Without an experiment every user gets DEFAULT_VERSIONS. To compare versions,
+// set PROMPT_EXPERIMENTS to a JSON map of prompt id -> version weights, e.g.
+//   PROMPT_EXPERIMENTS={"analysis":{"v1":50,"v2":50}}
+// A user always lands in the same bucket for a given prompt.
+const crypto = require('crypto');
+
+const PROMPTS = {
+  'ocr-extraction': require('./templates/ocr-extraction'),
+  'ocr-transcript': require('./templates/ocr-transcript'),
+  analysis: require('./templates/analysis'),
+  safety: require('./templates/safety'),
+  refinement: require('./templates/refinement')
+};
+
+const DEFAULT_VERSIONS = {
+  'ocr-extraction': 'v2',
+  'ocr-transcript': 'v2',
+  analysis: 'v1',
+  safety: 'v1',
+  refinement: 'v1'
+};
+
+let cachedExperiments = null;
+
+/**
+ * Parse and validate PROMPT_EXPERIMENTS (invalid entries are logged and ignored)
+ */
+function getExperiments() {
+  if (cachedExperiments) return cachedExperiments;
+
+  cachedExperiments = {};
+  if (!process.env.PROMPT_EXPERIMENTS) return cachedExperiments;
+
+  let config;
+  try {
+    config = JSON.parse(process.env.PROMPT_EXPERIMENTS);
+  } catch (error) {
+    console.error('⚠️ PROMPT_EXPERIMENTS is not valid JSON, ignoring it');
+    return cachedExperiments;
+  }
+
+  for (const [promptId, weights] of Object.entries(config)) {
+    const versions = PROMPTS[promptId];
+    const arms = Object.entries(weights || {})
+      .filter(([version, weight]) => versions?.[version] && weight > 0)
+      .map(([version, weight]) => ({ version, weight }));
+
+    if (arms.length === 0) {
+      console.error(`⚠️ Ignoring prompt experiment for "${promptId}": no known versions with weight > 0`);
+      continue;
+    }
+
+    cachedExperiments[promptId] = arms;
+  }
+
+  return cachedExperiments;
+}
+
+/**
+ * Pick the prompt version a user sees. Anonymous requests get the default version.
+ */
+function assignPromptVersion(promptId, userId) {
+  const arms = getExperiments()[promptId];
+  if (!arms || !userId) return DEFAULT_VERSIONS[promptId];
+
+  // Hash user + prompt into [0, 1) so each experiment buckets users independently
+  const hash = crypto.createHash('sha256').update(`${promptId}:${userId}`).digest();
+  const point = hash.readUInt32BE(0) / 0x100000000;
+
+  const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+  let cumulative = 0;
+
+  for (const arm of arms) {
+    cumulative += arm.weight / total;
+    if (point < cumulative) return arm.version;
+  }
+
+  return arms[arms.length - 1].version;
+}
+
+/**
+ * Resolve the prompt a user should get.
+ * Returns { id, version, key, parts } where key ("analysis@v2") is what gets recorded.
+ */
+function getPrompt(promptId, userId = null) {
+  return getPromptVersion(promptId, assignPromptVersion(promptId, userId));
+}
+
+/**
+ * Get a specific version of a prompt (same shape as getPrompt), e.g. to evaluate
+ * a version before it's rolled out. Returns null for an unknown version.
+ */
+function getPromptVersion(promptId, version) {
+  const versions = PROMPTS[promptId];
+  if (!versions) throw new Error(`Unknown prompt: ${promptId}`);
+  if (!Object.prototype.hasOwnProperty.call(versions, version)) return null;
+
+  return {
+    id: promptId,
+    version,
+    key: `${promptId}@${version}`,
+    parts: versions[version]
+  };
+}
+
+/**
+ * Fill {{name}} placeholders. Throws on a placeholder with no value so a
+ * broken template never reaches the model.
+ */
+function renderTemplate(template, variables = {}) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Missing prompt variable: ${name}`);
+    }
+    return String(variables[name]);
+  });
+}
+
+module.exports = {
+  PROMPTS,
+  DEFAULT_VERSIONS,
+  assignPromptVersion,
+  getPrompt,
+  getPromptVersion,
+  renderTemplate
+};
@@ -0,0 +1,72 @@
+// Analysis prompt versions
+// Variables: intro, personality, hiddenIntentGuidelines, behaviorLabels, replyHeading,
+// replyRules, goodExamples, badExamples, format (system); request, messages, closing (user)
+
+const V1_SYSTEM = `{{intro}}
+
+YOUR PERSONALITY:
+{{personality}}
+
+HIDDEN INTENT ANALYSIS:
+{{hiddenIntentGuidelines}}
+
+BEHAVIOR TYPE:
+Give ONE short label like:
+{{behaviorLabels}}
+
+STRATEGIC REPLY - THIS IS THE MOST IMPORTANT PART:
+{{replyHeading}}
+{{replyRules}}
+
+REPLY EXAMPLES (match this energy):
+{{goodExamples}}
+
+BAD REPLIES (don't do this):
+{{badExamples}}
+
+{{format}}`;
+
+const V1_USER = `{{request}}
+
+{{messages}}
+
+{{closing}}`;
+
+module.exports = {
+  // Original production prompt
+  v1: {
+    system: V1_SYSTEM,
+    user: V1_USER
+  },
+
+  // Grounded variant: asks the model to tie the verdict to their actual wording
+  v2: {
+    system: `{{intro}}
+
+YOUR PERSONALITY:
+{{personality}}
+
+HIDDEN INTENT ANALYSIS:
+{{hiddenIntentGuidelines}}
+- Point to the specific words or phrasing that give them away
+- Don't invent drama: if a message is only mildly manipulative, say so
+
+BEHAVIOR TYPE:
+Give ONE short label like:
+{{behaviorLabels}}
+Pick the label that best matches the evidence, not the most dramatic one.
+
+STRATEGIC REPLY - THIS IS THE MOST IMPORTANT PART:
+{{replyHeading}}
+{{replyRules}}
+
+REPLY EXAMPLES (match this energy):
+{{goodExamples}}
+
+BAD REPLIES (don't do this):
+{{badExamples}}
+
+{{format}}`,
+    user: V1_USER
+  }
+};
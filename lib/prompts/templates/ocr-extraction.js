@@ -0,0 +1,102 @@
+// OCR extraction prompt versions
+// Each version is rendered with lib/prompts renderTemplate (no variables yet)
+
+module.exports = {
+  // Received (left-side) messages only, wrapped in RECEIVED_MESSAGES markers
+  v1: {
+    instructions: `You are analyzing a screenshot from ANY messaging app (iMessage, WhatsApp, Instagram, Snapchat, Facebook, etc.).
+
+YOUR TASK: Extract ONLY the messages that the phone owner RECEIVED (not the ones they sent).
+
+UNIVERSAL IDENTIFICATION RULES:
+
+1. **VISUAL POSITION**:
+   - Messages on the LEFT side = RECEIVED (extract these) ✅
+   - Messages on the RIGHT side = SENT by user (ignore these) ❌
+
+2. **BUBBLE ALIGNMENT**:
+   - Left-aligned bubbles = RECEIVED ✅
+   - Right-aligned bubbles = SENT ❌
+
+3. **COLOR PATTERNS** (varies by app):
+   - iMessage: Gray = received, Blue = sent
+   - WhatsApp: White/Light gray = received, Green = sent
+   - Instagram: Purple/Gray = received, Purple gradient = sent
+   - Facebook: Gray = received, Blue = sent
+   - Snapchat: Red = received, Blue = sent
+   - Generic rule: Lighter/neutral colors = usually received
+
+4. **MESSAGE CONTENT CLUES**:
+   - Questions/requests directed AT someone = RECEIVED ✅
+   - Responses/answers = SENT ❌
+
+CRITICAL INSTRUCTIONS:
+- Focus on POSITION (left vs right) as the PRIMARY indicator
+- Use color as a SECONDARY indicator
+- Only extract complete messages
+- Ignore timestamps, "Delivered", "Read", names, status indicators
+- If this is NOT a conversation screenshot, return: "ERROR: This image does not contain text messages"
+
+OUTPUT FORMAT:
+RECEIVED_MESSAGES_START
+[Message 1 that user received]
+[Message 2 that user received]
+RECEIVED_MESSAGES_END
+
+If you cannot identify text messages, return:
+ERROR: This image does not contain text messages`
+  },
+
+  // Same output plus a LANGUAGE line, and mirrored right-to-left layouts
+  v2: {
+    instructions: `You are analyzing a screenshot from ANY messaging app (iMessage, WhatsApp, Instagram, Snapchat, Facebook, etc.).
+
+YOUR TASK: Extract ONLY the messages that the phone owner RECEIVED (not the ones they sent).
+
+UNIVERSAL IDENTIFICATION RULES:
+
+1. **VISUAL POSITION**:
+   - Messages on the LEFT side = RECEIVED (extract these) ✅
+   - Messages on the RIGHT side = SENT by user (ignore these) ❌
+
+2. **BUBBLE ALIGNMENT**:
+   - Left-aligned bubbles = RECEIVED ✅
+   - Right-aligned bubbles = SENT ❌
+
+3. **COLOR PATTERNS** (varies by app):
+   - iMessage: Gray = received, Blue = sent
+   - WhatsApp: White/Light gray = received, Green = sent
+   - Instagram: Purple/Gray = received, Purple gradient = sent
+   - Facebook: Gray = received, Blue = sent
+   - Snapchat: Red = received, Blue = sent
+   - Generic rule: Lighter/neutral colors = usually received
+
+4. **RIGHT-TO-LEFT INTERFACES** (Arabic, Hebrew, Persian, Urdu):
+   - If the app's own interface is right-to-left, the layout is MIRRORED:
+     RECEIVED messages are on the RIGHT and SENT messages on the LEFT
+   - Use bubble colors and tails to confirm the side
+
+5. **MESSAGE CONTENT CLUES**:
+   - Questions/requests directed AT someone = RECEIVED ✅
+   - Responses/answers = SENT ❌
+
+CRITICAL INSTRUCTIONS:
+- Focus on POSITION (left vs right) as the PRIMARY indicator
+- Use color as a SECONDARY indicator
+- Only extract complete messages
+- Copy text exactly as written; don't translate
+- Write right-to-left text in normal reading order, exactly as typed - never reversed
+- Ignore timestamps, "Delivered", "Read", names, status indicators
+- If this is NOT a conversation screenshot, return: "ERROR: This image does not contain text messages"
+
+OUTPUT FORMAT:
+RECEIVED_MESSAGES_START
+[Message 1 that user received]
+[Message 2 that user received]
+RECEIVED_MESSAGES_END
+LANGUAGE: [ISO 639-1 code of the language the messages are written in, e.g. en, es, ar]
+
+If you cannot identify text messages, return:
+ERROR: This image does not contain text messages`
+  }
+};
@@ -0,0 +1,85 @@
+// Two-sided transcript extraction prompt versions (JSON output, no variables)
+
+module.exports = {
+  v1: {
+    instructions: `You are analyzing a screenshot from ANY messaging app (iMessage, WhatsApp, Instagram, Snapchat, Facebook, etc.).
+
+YOUR TASK: Transcribe the WHOLE conversation in order, top to bottom, and label who sent each message.
+
+SPEAKER IDENTIFICATION RULES:
+
+1. **VISUAL POSITION** (primary indicator):
+   - Messages on the LEFT side = sent by the other person → "them"
+   - Messages on the RIGHT side = sent by the phone owner → "me"
+
+2. **COLOR PATTERNS** (secondary indicator, varies by app):
+   - iMessage: Gray = them, Blue = me
+   - WhatsApp: White/Light gray = them, Green = me
+   - Instagram: Gray = them, Purple gradient = me
+   - Facebook: Gray = them, Blue = me
+   - Snapchat: Red = them, Blue = me
+
+CRITICAL INSTRUCTIONS:
+- Keep the exact order the messages appear in
+- Copy message text exactly, including emojis; don't fix spelling
+- If a timestamp is shown for a message, include it as written; otherwise omit it
+- Ignore "Delivered", "Read", typing indicators, names and status bar text
+- Each bubble is one message; don't merge or split bubbles
+
+OUTPUT FORMAT - respond with ONLY this JSON object:
+{
+  "transcript": [
+    { "sender": "them", "text": "message text", "timestamp": "9:41 AM" },
+    { "sender": "me", "text": "message text" }
+  ]
+}
+
+If this is NOT a conversation screenshot, respond with:
+{ "error": "NOT_A_CONVERSATION" }`
+  },
+
+  // Adds the conversation language and mirrored right-to-left layouts
+  v2: {
+    instructions: `You are analyzing a screenshot from ANY messaging app (iMessage, WhatsApp, Instagram, Snapchat, Facebook, etc.).
+
+YOUR TASK: Transcribe the WHOLE conversation in order, top to bottom, and label who sent each message.
+
+SPEAKER IDENTIFICATION RULES:
+
+1. **VISUAL POSITION** (primary indicator):
+   - Messages on the LEFT side = sent by the other person → "them"
+   - Messages on the RIGHT side = sent by the phone owner → "me"
+
+2. **COLOR PATTERNS** (secondary indicator, varies by app):
+   - iMessage: Gray = them, Blue = me
+   - WhatsApp: White/Light gray = them, Green = me
+   - Instagram: Gray = them, Purple gradient = me
+   - Facebook: Gray = them, Blue = me
+   - Snapchat: Red = them, Blue = me
+
+3. **RIGHT-TO-LEFT INTERFACES** (Arabic, Hebrew, Persian, Urdu):
+   - If the app's own interface is right-to-left, the layout is MIRRORED:
+     the other person's messages are on the RIGHT and the phone owner's on the LEFT
+   - Use bubble colors and tails to confirm the side
+
+CRITICAL INSTRUCTIONS:
+- Keep the exact order the messages appear in
+- Copy message text exactly, including emojis; don't fix spelling or translate
+- Write right-to-left text in normal reading order, exactly as typed - never reversed
+- If a timestamp is shown for a message, include it as written; otherwise omit it
+- Ignore "Delivered", "Read", typing indicators, names and status bar text
+- Each bubble is one message; don't merge or split bubbles
+
+OUTPUT FORMAT - respond with ONLY this JSON object:
+{
+  "language": "ISO 639-1 code of the language the conversation is written in, e.g. en, es, ar",
+  "transcript": [
+    { "sender": "them", "text": "message text", "timestamp": "9:41 AM" },
+    { "sender": "me", "text": "message text" }
+  ]
+}
+
+If this is NOT a conversation screenshot, respond with:
+{ "error": "NOT_A_CONVERSATION" }`
+  }
+};
@@ -0,0 +1,31 @@
+// Reply refinement prompt versions (plain text output)
+// Variables: intro, conversation, hiddenIntent, behaviorType, replyRules (system); instruction (user)
+// The thread goes between the two: the current reply as an assistant turn, then
+// each earlier instruction and rewrite.
+
+module.exports = {
+  v1: {
+    system: `{{intro}}
+
+You already analyzed this conversation and suggested a reply. Now the user wants that reply changed.
+
+CONVERSATION:
+{{conversation}}
+
+YOUR ANALYSIS:
+Hidden intent: {{hiddenIntent}}
+Behavior type: {{behaviorType}}
+
+REPLY RULES:
+{{replyRules}}
+
+HOW TO REFINE:
+- Rewrite your latest reply to do what the user asks ("shorter", "less rude", "add an emoji").
+- Keep everything they didn't ask to change: what the reply says, its language and who it's talking to.
+- Their request wins over the reply rules, but never write threats, slurs or anything that could get them hurt.
+- If the request isn't about the reply, make the smallest change that still answers it.
+
+Output ONLY the new reply, exactly as they would send it. No quotes, labels or explanations.`,
+    user: '{{instruction}}'
+  }
+};
@@ -0,0 +1,147 @@
+// Sliding-window rate limiting on the shared store (lib/store), so limits
+// hold across instances
+//
+// Each tier gets a sustained hourly limit plus a burst allowance per minute; a
+// request must fit both. Routes without their own entry share the tier's
+// "default" bucket. Limits are separate from the monthly analysis quota.
+//
+// Routes that don't call the AI are limited by group instead, the same on every
+// tier: account routes per user, auth routes per IP address.
+const { createStore } = require('./store');
+
+const SUSTAINED_WINDOW = 3600000; // 1 hour
+const BURST_WINDOW = 60000; // 1 minute
+
+const RATE_LIMITS = {
+  basic: {
+    default: { max: 20, burst: 5 },
+    '/api/ocr/batch': { max: 5, burst: 2 }
+  },
+  pro: {
+    default: { max: 60, burst: 10 },
+    '/api/ocr/batch': { max: 15, burst: 3 }
+  },
+  premium: {
+    default: { max: 200, burst: 20 },
+    '/api/ocr/batch': { max: 50, burst: 5 }
+  }
+};
+
+const ROUTE_GROUP_LIMITS = {
+  // History, jobs, imports without analysis and subscriptions
+  account: { max: 600, burst: 60 },
+  // Signup, login and token refresh, before there is a user
+  auth: { max: 30, burst: 10 }
+};
+
+// Tier used when the subscription has a tier we don't know
+const FALLBACK_TIER = 'basic';
+
+function buildRateLimit(bucket, { max, burst }) {
+  return {
+    bucket,
+    windows: [
+      { name: 'burst', windowMs: BURST_WINDOW, max: burst },
+      { name: 'sustained', windowMs: SUSTAINED_WINDOW, max }
+    ]
+  };
+}
+
+/**
+ * Limits for a tier and route: { bucket, windows: [{ name, windowMs, max }] }
+ */
+function getRateLimit(tier, route) {
+  const limits = RATE_LIMITS[tier] || RATE_LIMITS[FALLBACK_TIER];
+  const bucket = Object.prototype.hasOwnProperty.call(limits, route) ? route : 'default';
+  return buildRateLimit(bucket, limits[bucket]);
+}
+
+/**
+ * Limits for a route group (see ROUTE_GROUP_LIMITS), in the same shape as getRateLimit
+ */
+function getGroupRateLimit(group) {
+  if (!ROUTE_GROUP_LIMITS[group]) throw new Error(`Unknown rate limit group: ${group}`);
+  return buildRateLimit(`group:${group}`, ROUTE_GROUP_LIMITS[group]);
+}
+
+/**
+ * Create a limiter over the shared store.
+ * hit(id, { tier, route }) or hit(id, { group }) resolves with { allowed, limit, remaining, resetAt, policy }
+ * for the most restrictive window. If the store is unreachable the request is
+ * allowed - an outage shouldn't lock everyone out.
+ */
+function createRateLimiter(namespace) {
+  const store = createStore(namespace);
+
+  return {
+    async hit(id, { tier, route, group }) {
+      const { bucket, windows } = group ? getGroupRateLimit(group) : getRateLimit(tier, route);
+      const policy = windows.map(window => `${window.max};w=${window.windowMs / 1000}`).join(', ');
+      let results;
+
+      try {
+        // Every window is checked before the hit is recorded, so a full one doesn't use up the others
+        const hits = await store.slidingWindowHit(windows.map(window => ({
+          key: `${bucket}:${window.name}:${id}`,
+          windowMs: window.windowMs,
+          limit: window.max
+        })));
+        results = hits.map(({ allowed, count, resetAt }, i) => ({
+          allowed,
+          limit: windows[i].max,
+          remaining: Math.max(0, windows[i].max - count),
+          resetAt
+        }));
+      } catch (error) {
+        console.error(`Rate limit store error (${namespace}), allowing request:`, error.message);
+        const [window] = windows;
+        return { allowed: true, limit: window.max, remaining: window.max, resetAt: Date.now() + window.windowMs, policy };
+      }
+
+      // Report the full window that frees up last, or the one closest to running out
+      const blocked = results.filter(result => !result.allowed);
+      const reported = blocked.length > 0
+        ? blocked.reduce((latest, result) => (result.resetAt > latest.resetAt ? result : latest))
+        : results.reduce((tightest, result) =>
+          result.remaining < tightest.remaining ||
+          (result.remaining === tightest.remaining && result.resetAt > tightest.resetAt) ? result : tightest);
+
+      return { ...reported, policy };
+    }
+  };
+}
+
+/**
+ * Set RateLimit-* and Retry-After headers (seconds) from a hit result.
+ * Retry-After is 0 while requests remain.
+ */
+function setRateLimitHeaders(res, result) {
+  const reset = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+  res.set({
+    'RateLimit-Policy': result.policy,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(reset),
+    'Retry-After': String(result.allowed && result.remaining > 0 ? 0 : reset)
+  });
+
+  return reset;
+}
+
+// Human-readable wait for rate limit messages ("45 seconds", "12 minutes")
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  RATE_LIMITS,
+  ROUTE_GROUP_LIMITS,
+  getRateLimit,
+  getGroupRateLimit,
+  createRateLimiter,
+  setRateLimitHeaders,
+  formatWait
+};
@@ -0,0 +1,155 @@
+// Reply refinement (POST /api/history/:id/refinements)
+//
+// Users tweak the reply of a stored analysis ("shorter", "less rude", "add an
+// emoji") without running the analysis again. Each analysis keeps a short thread
+// of instructions and rewrites, and the first few refinements of every analysis
+// don't count against the monthly quota.
+const llm = require('./llm');
+const { getPersona } = require('./personas');
+const { renderTemplate } = require('./prompts');
+
+// Free refinements per analysis when FREE_REFINEMENTS_PER_ANALYSIS isn't set
+const DEFAULT_FREE_REFINEMENTS = 3;
+
+// Longest thread an analysis can have, free or paid (keeps the prompt small)
+const MAX_REFINEMENTS = 10;
+
+const MAX_INSTRUCTION_LENGTH = 300;
+
+/**
+ * Free refinements per analysis: FREE_REFINEMENTS_PER_ANALYSIS (0 makes every one paid)
+ */
+function getFreeRefinements() {
+  const setting = process.env.FREE_REFINEMENTS_PER_ANALYSIS;
+  if (setting === undefined || setting === '') return DEFAULT_FREE_REFINEMENTS;
+
+  const value = Number(setting);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error('⚠️ FREE_REFINEMENTS_PER_ANALYSIS must be a whole number, using the default');
+    return DEFAULT_FREE_REFINEMENTS;
+  }
+
+  return Math.min(value, MAX_REFINEMENTS);
+}
+
+/**
+ * Validate a refinement body. Returns { instruction } or { error }.
+ */
+function parseRefinement(body) {
+  const { instruction } = body;
+
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    return { error: 'Say how the reply should change, e.g. "shorter" or "less rude"' };
+  }
+  if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+    return { error: `instruction must be at most ${MAX_INSTRUCTION_LENGTH} characters` };
+  }
+
+  return { instruction: instruction.trim() };
+}
+
+/**
+ * How much of an analysis' refinement allowance a thread of `used` refinements took
+ */
+function getRefinementAllowance(used) {
+  const free = getFreeRefinements();
+
+  return {
+    used,
+    free,
+    freeRemaining: Math.max(free - used, 0),
+    remaining: Math.max(MAX_REFINEMENTS - used, 0),
+    max: MAX_REFINEMENTS
+  };
+}
+
+/**
+ * The reply a new refinement starts from: the latest rewrite, or the analysis' own reply
+ */
+function currentReply(analysis, thread) {
+  return thread.length > 0 ? thread[thread.length - 1].reply : analysis.strategic_response;
+}
+
+// System prompt, the original reply, then each instruction and rewrite in order
+function buildRefinementMessages(analysis, persona, thread, instruction, prompt) {
+  const system = renderTemplate(prompt.parts.system, {
+    intro: persona.intro,
+    conversation: analysis.extracted_text,
+    hiddenIntent: analysis.hidden_intent || 'not recorded',
+    behaviorType: analysis.behavior_type || 'not recorded',
+    replyRules: persona.replyRules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')
+  });
+
+  return [
+    { role: 'system', content: system },
+    { role: 'assistant', content: analysis.strategic_response },
+    ...thread.flatMap(turn => [
+      { role: 'user', content: renderTemplate(prompt.parts.user, { instruction: turn.instruction }) },
+      { role: 'assistant', content: turn.reply }
+    ]),
+    { role: 'user', content: renderTemplate(prompt.parts.user, { instruction }) }
+  ];
+}
+
+// Models sometimes wrap the reply in quotes or label it despite the prompt
+function cleanReply(content) {
+  return content
+    .trim()
+    .replace(/^\*{0,2}(?:new |refined |strategic )?reply\*{0,2}:\*{0,2}\s*/i, '')
+    .replace(/^(["“])([\s\S]*)["”]$/, '$2')
+    .trim();
+}
+
+/**
+ * Rewrite the current reply of an analysis (an analyses_history row) following
+ * instruction, given the thread so far (reply_refinements rows, oldest first).
+ * Resolves with { reply, usage } or { error } holding the HTTP status and response body.
+ */
+async function refineReply(analysis, thread, instruction, prompt) {
+  const persona = getPersona(analysis.tone) || getPersona();
+  let result;
+
+  try {
+    result = await llm.complete('analyze', {
+      messages: buildRefinementMessages(analysis, persona, thread, instruction, prompt),
+      temperature: persona.temperature,
+      maxTokens: 200
+    });
+  } catch (error) {
+    console.error('Refinement provider error:', error);
+    return { error: { status: 500, error: 'Refinement failed', message: 'Failed to refine the reply. Please try again.' } };
+  }
+
+  const reply = result.content ? cleanReply(result.content) : '';
+  if (!reply) {
+    return { error: { status: 502, error: 'No refined reply', message: 'The reply could not be refined. Please try again.' } };
+  }
+
+  return { reply, usage: result.usage };
+}
+
+/**
+ * Shape a reply_refinements row for API responses
+ */
+function formatRefinement(row) {
+  return {
+    id: row.id,
+    turn: row.turn,
+    instruction: row.instruction,
+    reply: row.reply,
+    free: !row.charged,
+    promptVersion: row.prompt_version,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  MAX_REFINEMENTS,
+  MAX_INSTRUCTION_LENGTH,
+  getFreeRefinements,
+  parseRefinement,
+  getRefinementAllowance,
+  currentReply,
+  refineReply,
+  formatRefinement
+};
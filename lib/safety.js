@@ -0,0 +1,285 @@
+// Safety screening that runs before any reply is generated
+//
+// Conversations showing threats, stalking, coercive control or self-harm get
+// no comeback. The response carries a severity and support resources instead.
+// Resources can be replaced per category with SAFETY_RESOURCES, a JSON map of
+// category (or "default") -> [{ name, phone?, sms?, url?, description? }], e.g.
+//   SAFETY_RESOURCES={"self_harm":[{"name":"Samaritans (UK)","phone":"116 123"}]}
+const llm = require('./llm');
+const { getPrompt, renderTemplate } = require('./prompts');
+const { formatTranscript } = require('./transcript');
+
+const SAFETY_CATEGORIES = {
+  violence: {
+    label: 'Threat of violence',
+    description: 'threats to hurt or kill the user or someone else'
+  },
+  stalking: {
+    label: 'Stalking',
+    description: 'following, watching, tracking or turning up uninvited, or saying they know where the user is'
+  },
+  coercive_control: {
+    label: 'Coercive control',
+    description: 'controlling who the user sees, where they go, their money or their phone, backed by threats or punishment'
+  },
+  self_harm: {
+    label: 'Self-harm',
+    description: 'statements about suicide or hurting oneself'
+  }
+};
+
+const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high'];
+
+const SEVERITY_GUIDE = {
+  none: 'nothing in these categories',
+  low: 'dark jokes or vague remarks that are probably not serious',
+  medium: 'a real concern that should not get a witty reply',
+  high: 'explicit threats, plans or immediate danger'
+};
+
+// Findings at this level or above suppress the reply and are logged for review
+const FLAG_SEVERITY = 'medium';
+
+// Used when the classifier is unavailable, so obvious cases are still caught
+const SCREEN_PATTERNS = {
+  self_harm: [
+    /\b(kill|hurt|harm|cut)\s+myself\b/i,
+    /\bsuicid(e|al)\b/i,
+    /\bend\s+(it\s+all|my\s+life)\b/i,
+    /\b(don'?t|do\s+not)\s+want\s+to\s+(live|be\s+alive|be\s+here\s+anymore)\b/i,
+    /\bbetter\s+off\s+(dead|without\s+me)\b/i
+  ],
+  violence: [
+    /\b(i'?ll|i\s+will|i'?m\s+gonna|i'?m\s+going\s+to)\s+(kill|hurt|beat|stab|shoot|strangle)\s+(you|u|her|him|them)\b/i,
+    /\byou('?re|\s+are)\s+(dead|gonna\s+die)\b/i
+  ],
+  stalking: [
+    /\bi\s+know\s+where\s+you\s+(live|work|are|sleep)\b/i,
+    /\bi('?m|\s+am)\s+(outside|watching\s+you)\b/i,
+    /\bi('?ve|\s+have)\s+been\s+(following|watching)\s+you\b/i
+  ],
+  coercive_control: [
+    /\b(give|send)\s+me\s+your\s+(password|passcode|location)\b/i,
+    /\byou('?re|\s+are)\s+not\s+allowed\s+to\s+(see|go|talk|leave)\b/i,
+    /\bif\s+you\s+(leave|go)\b.{0,40}\b(i'?ll|i\s+will)\b/i
+  ]
+};
+
+const NATIONAL_DV_HOTLINE = {
+  name: 'National Domestic Violence Hotline (US)',
+  phone: '1-800-799-7233',
+  sms: 'Text START to 88788',
+  url: 'https://www.thehotline.org'
+};
+
+const DEFAULT_RESOURCES = {
+  default: [
+    {
+      name: 'Emergency services',
+      description: 'If anyone is in immediate danger, call your local emergency number (911 in the US, 112 in the EU, 999 in the UK).'
+    }
+  ],
+  self_harm: [
+    { name: '988 Suicide & Crisis Lifeline (US)', phone: '988', sms: 'Text 988', url: 'https://988lifeline.org' },
+    { name: 'Find A Helpline (international)', url: 'https://findahelpline.com' }
+  ],
+  violence: [NATIONAL_DV_HOTLINE],
+  stalking: [
+    NATIONAL_DV_HOTLINE,
+    { name: 'Stalking Prevention, Awareness, and Resource Center', url: 'https://www.stalkingawareness.org' }
+  ],
+  coercive_control: [NATIONAL_DV_HOTLINE]
+};
+
+const SAFETY_MESSAGES = {
+  medium: 'Some of these messages raise a safety concern, so we won\'t suggest a reply. Consider talking to someone you trust or one of the services below.',
+  high: 'These messages suggest someone may be in danger, so we won\'t suggest a reply. If you or anyone else is in immediate danger, contact emergency services now.'
+};
+
+let cachedResources = null;
+
+/**
+ * Support resources by category: SAFETY_RESOURCES entries replace the defaults
+ */
+function getResourceConfig() {
+  if (cachedResources) return cachedResources;
+
+  cachedResources = { ...DEFAULT_RESOURCES };
+  if (!process.env.SAFETY_RESOURCES) return cachedResources;
+
+  let config;
+  try {
+    config = JSON.parse(process.env.SAFETY_RESOURCES);
+  } catch (error) {
+    console.error('⚠️ SAFETY_RESOURCES is not valid JSON, using the default resources');
+    return cachedResources;
+  }
+
+  for (const [category, resources] of Object.entries(config)) {
+    if (category !== 'default' && !SAFETY_CATEGORIES[category]) {
+      console.error(`⚠️ Ignoring safety resources for unknown category "${category}"`);
+      continue;
+    }
+    if (!Array.isArray(resources) || resources.some(resource => !resource?.name)) {
+      console.error(`⚠️ Ignoring safety resources for "${category}": expected a list of { name, ... }`);
+      continue;
+    }
+
+    cachedResources[category] = resources;
+  }
+
+  return cachedResources;
+}
+
+/**
+ * Resources for the flagged categories, general ones first, without duplicates
+ */
+function getSafetyResources(categoryIds) {
+  const config = getResourceConfig();
+  const resources = [];
+
+  for (const key of ['default', ...categoryIds]) {
+    for (const resource of config[key] || []) {
+      if (!resources.some(existing => existing.name === resource.name)) resources.push(resource);
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Classify a conversation before any reply is written.
+ * Resolves with { flagged, severity, categories: [{ id, label, severity, evidence }], source, promptVersion }.
+ * source is 'model', or 'keywords' when the classifier failed and the keyword screen was used.
+ */
+async function classifySafety({ messages, transcript }, { userId = null, signal } = {}) {
+  const prompt = getPrompt('safety', userId);
+  const conversation = transcript
+    ? formatTranscript(transcript, { quote: true })
+    : messages.map(message => `Them: "${message}"`).join('\n');
+
+  let classification = null;
+
+  try {
+    const result = await llm.complete('safety', {
+      messages: [
+        {
+          role: 'system',
+          content: renderTemplate(prompt.parts.system, {
+            categories: Object.entries(SAFETY_CATEGORIES)
+              .map(([id, category]) => `- "${id}": ${category.description}`)
+              .join('\n'),
+            severities: SEVERITY_LEVELS.map(level => `- "${level}": ${SEVERITY_GUIDE[level]}`).join('\n')
+          })
+        },
+        { role: 'user', content: renderTemplate(prompt.parts.user, { messages: conversation }) }
+      ],
+      temperature: 0,
+      maxTokens: 300,
+      jsonMode: true,
+      signal
+    });
+
+    classification = parseClassification(result.content);
+    if (!classification) console.warn('⚠️ Unreadable safety classification, using keyword screen:', result.content);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('Safety classifier error, using keyword screen:', error);
+  }
+
+  const { severity, categories } = classification || screenConversation(transcript
+    ? transcript.map(message => message.text)
+    : messages);
+
+  return {
+    flagged: rank(severity) >= rank(FLAG_SEVERITY),
+    severity,
+    categories,
+    source: classification ? 'model' : 'keywords',
+    promptVersion: prompt.key
+  };
+}
+
+function parseClassification(content) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(content || '').replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    return null;
+  }
+
+  if (!parsed || !Array.isArray(parsed.categories)) return null;
+
+  const categories = parsed.categories
+    .filter(category => SAFETY_CATEGORIES[category?.id] && SEVERITY_LEVELS.includes(category.severity))
+    .filter(category => category.severity !== 'none')
+    .map(category => ({
+      id: category.id,
+      label: SAFETY_CATEGORIES[category.id].label,
+      severity: category.severity,
+      evidence: (Array.isArray(category.evidence) ? category.evidence : [])
+        .filter(quote => typeof quote === 'string' && quote.trim())
+        .map(quote => quote.trim())
+    }));
+
+  // The overall level can't be lower than its worst category
+  const reported = SEVERITY_LEVELS.includes(parsed.severity) ? parsed.severity : 'none';
+  const severity = categories.reduce((worst, category) =>
+    rank(category.severity) > rank(worst) ? category.severity : worst, reported);
+
+  return { severity, categories };
+}
+
+// Keyword fallback: any match is treated as a real concern
+function screenConversation(texts) {
+  const categories = [];
+
+  for (const [id, patterns] of Object.entries(SCREEN_PATTERNS)) {
+    const evidence = texts.filter(text => patterns.some(pattern => pattern.test(text)));
+    if (evidence.length > 0) {
+      categories.push({ id, label: SAFETY_CATEGORIES[id].label, severity: FLAG_SEVERITY, evidence });
+    }
+  }
+
+  return { severity: categories.length > 0 ? FLAG_SEVERITY : 'none', categories };
+}
+
+function rank(severity) {
+  return SEVERITY_LEVELS.indexOf(severity);
+}
+
+/**
+ * What a client gets instead of an analysis when a conversation is flagged
+ */
+function buildSafetyResponse(safety) {
+  return {
+    flagged: true,
+    severity: safety.severity,
+    categories: safety.categories.map(({ id, label, severity, evidence }) => ({ id, label, severity, evidence })),
+    message: SAFETY_MESSAGES[safety.severity] || SAFETY_MESSAGES[FLAG_SEVERITY],
+    resources: getSafetyResources(safety.categories.map(category => category.id))
+  };
+}
+
+/**
+ * Markdown in the three-section analysis format, for clients that only read
+ * the completion text
+ */
+function formatSafetyMarkdown(response) {
+  const resources = response.resources.map(resource => {
+    const contact = [resource.phone && `call ${resource.phone}`, resource.sms, resource.url].filter(Boolean).join(', ');
+    return `- ${resource.name}${contact ? `: ${contact}` : ''}${resource.description ? ` - ${resource.description}` : ''}`;
+  });
+
+  return `**Hidden Intent:**\n${response.message}\n\n**Behavior Type:**\nSAFETY CONCERN\n\n**Strategic Reply:**\nNo reply suggested. Support is available:\n${resources.join('\n')}`;
+}
+
+module.exports = {
+  SAFETY_CATEGORIES,
+  SEVERITY_LEVELS,
+  FLAG_SEVERITY,
+  classifySafety,
+  getSafetyResources,
+  buildSafetyResponse,
+  formatSafetyMarkdown
+};
@@ -0,0 +1,49 @@
+// Pluggable key-value store for state that must be shared across instances
+// (rate limits, caches, extraction credits)
+//
+// Every backend implements the same async interface, scoped to a namespace:
+//   get(key) -> value | null             (marks the entry as recently used)
+//   set(key, value, { ttl })             (ttl in ms; LRU entries past maxEntries are evicted)
+//   setIfAbsent(key, value, { ttl }) -> boolean
+//   take(key) -> value | null            (get and delete in one step)
+//   delete(key)
+//   slidingWindowHit([{ key, windowMs, limit }]) -> [{ allowed, count, resetAt }]
+//                                        (one hit in every window, or none if any is full)
+// Values must be JSON-serializable.
+//
+// The backend is chosen with STORE_BACKEND: memory (default without REDIS_URL),
+// redis (default with REDIS_URL) or postgres (migrations/011_shared_store.sql).
+const { createMemoryStore } = require('./memory');
+
+const BACKEND_FACTORIES = {
+  memory: (namespace, options) => createMemoryStore(options),
+  postgres: (namespace, options) => require('./postgres').createPostgresStore(namespace, options),
+  redis: (namespace, options) => require('./redis').createRedisStore(namespace, options)
+};
+
+/**
+ * Name of the configured backend
+ */
+function getBackendName() {
+  const name = process.env.STORE_BACKEND || (process.env.REDIS_URL ? 'redis' : 'memory');
+  if (!BACKEND_FACTORIES[name]) throw new Error(`Unknown store backend: ${name}`);
+  return name;
+}
+
+/**
+ * Create a store for a namespace on the configured backend
+ */
+function createStore(namespace, { maxEntries } = {}) {
+  const backend = getBackendName();
+
+  if (backend === 'memory' && process.env.VERCEL) {
+    console.warn(`⚠️ Store "${namespace}" is in memory: limits and caches won't be shared between serverless instances. Set STORE_BACKEND.`);
+  }
+
+  return BACKEND_FACTORIES[backend](namespace, { maxEntries });
+}
+
+module.exports = {
+  createStore,
+  getBackendName
+};
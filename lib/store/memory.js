@@ -0,0 +1,116 @@
+// In-process store backend - state is per instance, so only for local
+// development and single-server deployments
+
+const WINDOW_SWEEP_INTERVAL = 60000; // 1 minute
+
+/**
+ * Create an in-memory store for one namespace.
+ * Entries are kept in least-recently-used order; past maxEntries the LRU entry goes.
+ */
+function createMemoryStore({ maxEntries = Infinity } = {}) {
+  // key -> { value, expiresAt } in LRU order (oldest first)
+  const entries = new Map();
+  // key -> { hits: [timestamps], windowMs } for sliding windows
+  const windows = new Map();
+  let lastSweep = Date.now();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  function evict() {
+    if (entries.size <= maxEntries) return;
+
+    // Expired entries go first, then the least recently used
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) entries.delete(key);
+    }
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  // Drop windows whose hits have all aged out, at most once per WINDOW_SWEEP_INTERVAL
+  function sweepWindows(now) {
+    if (now - lastSweep < WINDOW_SWEEP_INTERVAL) return;
+
+    lastSweep = now;
+    for (const [key, window] of windows) {
+      if (now - window.hits[window.hits.length - 1] >= window.windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      if (!entry) return null;
+
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+      evict();
+    },
+
+    async setIfAbsent(key, value, { ttl } = {}) {
+      if (read(key)) return false;
+
+      await this.set(key, value, { ttl });
+      return true;
+    },
+
+    async take(key) {
+      const entry = read(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      return entry.value;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async slidingWindowHit(requested) {
+      const now = Date.now();
+      sweepWindows(now);
+
+      const current = requested.map(({ key, windowMs, limit }) => ({
+        key,
+        windowMs,
+        limit,
+        hits: (windows.get(key)?.hits || []).filter(timestamp => now - timestamp < windowMs)
+      }));
+      // The hit counts in every window, or in none if any is full
+      const allowed = current.every(({ hits, limit }) => hits.length < limit);
+
+      return current.map(({ key, windowMs, limit, hits }) => {
+        const room = hits.length < limit;
+
+        if (allowed) hits.push(now);
+        if (hits.length > 0) windows.set(key, { hits, windowMs });
+        else windows.delete(key);
+
+        return { allowed: room, count: hits.length, resetAt: (hits.length > 0 ? hits[0] : now) + windowMs };
+      });
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,72 @@
+// Postgres store backend, through the Supabase client and the functions in
+// migrations/011_shared_store.sql. Shared by every instance.
+const { supabaseAdmin } = require('../supabase');
+
+async function rpc(name, params) {
+  const { data, error } = await supabaseAdmin.rpc(name, params);
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create a Postgres-backed store for one namespace.
+ * Past maxEntries, the least recently used entries are deleted on write.
+ */
+function createPostgresStore(namespace, { maxEntries = null } = {}) {
+  const write = (key, value, ttl, onlyIfAbsent) => rpc('store_set', {
+    p_namespace: namespace,
+    p_key: key,
+    p_value: value,
+    p_ttl_ms: ttl || null,
+    p_max_entries: Number.isFinite(maxEntries) ? maxEntries : null,
+    p_only_if_absent: onlyIfAbsent
+  });
+
+  return {
+    name: 'postgres',
+
+    async get(key) {
+      const value = await rpc('store_get', { p_namespace: namespace, p_key: key });
+      return value ?? null;
+    },
+
+    async set(key, value, { ttl } = {}) {
+      await write(key, value, ttl, false);
+    },
+
+    async setIfAbsent(key, value, { ttl } = {}) {
+      return write(key, value, ttl, true);
+    },
+
+    async take(key) {
+      const value = await rpc('store_take', { p_namespace: namespace, p_key: key });
+      return value ?? null;
+    },
+
+    async delete(key) {
+      const { error } = await supabaseAdmin
+        .from('store_entries')
+        .delete()
+        .eq('namespace', namespace)
+        .eq('key', key);
+
+      if (error) throw error;
+    },
+
+    async slidingWindowHit(requested) {
+      const results = await rpc('store_sliding_window_hit', {
+        p_namespace: namespace,
+        p_keys: requested.map(({ key }) => key),
+        p_window_ms: requested.map(({ windowMs }) => windowMs),
+        p_limits: requested.map(({ limit }) => limit)
+      });
+
+      return results.map((result, i) => {
+        const oldest = result.oldest_at ? new Date(result.oldest_at).getTime() : Date.now();
+        return { allowed: result.allowed, count: result.hits, resetAt: oldest + requested[i].windowMs };
+      });
+    }
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,162 @@
+// Redis store backend (anything speaking the Redis protocol: Redis, Valkey,
+// Upstash, KeyDB...). Shared by every instance.
+//
+// Keys are "<prefix><namespace>:<key>". Namespaces with maxEntries keep a sorted
+// set of last-access times so they can evict their own least recently used
+// entries. Others don't track access: their entries just expire, and the set
+// would only collect keys that are gone.
+const Redis = require('ioredis');
+
+const KEY_PREFIX = 'subtext:';
+
+// KEYS: entry, lru index. ARGV: now, max entries (0 = no cap, no tracking)
+const GET_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if tonumber(ARGV[2]) > 0 then
+  if value then
+    redis.call('ZADD', KEYS[2], ARGV[1], KEYS[1])
+  else
+    redis.call('ZREM', KEYS[2], KEYS[1])
+  end
+end
+return value`;
+
+// KEYS: entry, lru index. ARGV: value, ttl ms (0 = none), max entries (0 = no cap, no tracking), only if absent, now
+const SET_SCRIPT = `
+if ARGV[4] == '1' and redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+if tonumber(ARGV[2]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+else
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+if tonumber(ARGV[3]) == 0 then
+  return 1
+end
+redis.call('ZADD', KEYS[2], ARGV[5], KEYS[1])
+local excess = redis.call('ZCARD', KEYS[2]) - tonumber(ARGV[3])
+if excess > 0 then
+  local oldest = redis.call('ZRANGE', KEYS[2], 0, excess - 1)
+  redis.call('DEL', unpack(oldest))
+  redis.call('ZREMRANGEBYRANK', KEYS[2], 0, excess - 1)
+end
+return 1`;
+
+// KEYS: entry, lru index
+const TAKE_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+redis.call('DEL', KEYS[1])
+redis.call('ZREM', KEYS[2], KEYS[1])
+return value`;
+
+// KEYS: windows. ARGV: now, unique member, then window ms and limit per window.
+// The hit is only recorded if every window has room.
+const WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local counts = {}
+local allowed = 1
+for i, key in ipairs(KEYS) do
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - tonumber(ARGV[i * 2 + 1]))
+  counts[i] = redis.call('ZCARD', key)
+  if counts[i] >= tonumber(ARGV[i * 2 + 2]) then
+    allowed = 0
+  end
+end
+local results = {}
+for i, key in ipairs(KEYS) do
+  local room = 0
+  if counts[i] < tonumber(ARGV[i * 2 + 2]) then
+    room = 1
+  end
+  if allowed == 1 then
+    redis.call('ZADD', key, now, ARGV[2])
+    counts[i] = counts[i] + 1
+  end
+  redis.call('PEXPIRE', key, ARGV[i * 2 + 1])
+  local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+  results[i] = { room, counts[i], oldest[2] or ARGV[1] }
+end
+return results`;
+
+let client = null;
+
+/**
+ * One connection per process, shared by every namespace
+ */
+function getClient() {
+  if (!client) {
+    if (!process.env.REDIS_URL) {
+      throw new Error('REDIS_URL must be set to use the redis store');
+    }
+
+    client = new Redis(process.env.REDIS_URL, { maxRetriesPerRequest: 2 });
+    client.on('error', error => console.error('Redis store error:', error.message));
+
+    client.defineCommand('storeGet', { numberOfKeys: 2, lua: GET_SCRIPT });
+    client.defineCommand('storeSet', { numberOfKeys: 2, lua: SET_SCRIPT });
+    client.defineCommand('storeTake', { numberOfKeys: 2, lua: TAKE_SCRIPT });
+    // Takes the number of windows first
+    client.defineCommand('storeWindowHit', { lua: WINDOW_SCRIPT });
+  }
+
+  return client;
+}
+
+/**
+ * Create a Redis-backed store for one namespace.
+ * Past maxEntries, the least recently used entries are deleted on write.
+ */
+function createRedisStore(namespace, { maxEntries = null } = {}) {
+  const redis = getClient();
+  const entryKey = key => `${KEY_PREFIX}${namespace}:${key}`;
+  const lruKey = `${KEY_PREFIX}${namespace}:__lru`;
+  const windowKey = key => `${KEY_PREFIX}${namespace}:__window:${key}`;
+  const cap = Number.isFinite(maxEntries) ? maxEntries : 0;
+
+  const parse = raw => (typeof raw === 'string' ? JSON.parse(raw) : null);
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return parse(await redis.storeGet(entryKey(key), lruKey, Date.now(), cap));
+    },
+
+    async set(key, value, { ttl } = {}) {
+      await redis.storeSet(entryKey(key), lruKey, JSON.stringify(value), ttl || 0, cap, 0, Date.now());
+    },
+
+    async setIfAbsent(key, value, { ttl } = {}) {
+      return (await redis.storeSet(entryKey(key), lruKey, JSON.stringify(value), ttl || 0, cap, 1, Date.now())) === 1;
+    },
+
+    async take(key) {
+      return parse(await redis.storeTake(entryKey(key), lruKey));
+    },
+
+    async delete(key) {
+      await redis.multi().del(entryKey(key)).zrem(lruKey, entryKey(key)).exec();
+    },
+
+    async slidingWindowHit(requested) {
+      const now = Date.now();
+      const member = `${now}:${Math.random().toString(36).slice(2)}`;
+      const results = await redis.storeWindowHit(
+        requested.length,
+        ...requested.map(({ key }) => windowKey(key)),
+        now,
+        member,
+        ...requested.flatMap(({ windowMs, limit }) => [windowMs, limit])
+      );
+
+      return results.map(([allowed, count, oldest], i) => ({
+        allowed: allowed === 1,
+        count,
+        resetAt: Number(oldest) + requested[i].windowMs
+      }));
+    }
+  };
+}
+
+module.exports = { createRedisStore };
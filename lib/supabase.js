@@ -138,21 +138,75 @@ async function getUserUsage(userId) {
 }
 
 /**
- * Increment usage counter
+ * Current month's usage against the user's plan limit
+ * (limit and remaining are 'unlimited' on unlimited plans)
  */
-async function incrementUsage(userId) {
+async function getUsageSummary(userId) {
+  const subscription = await getUserSubscription(userId);
   const usage = await getUserUsage(userId);
-  
-  const { data, error } = await supabaseAdmin
-    .from('usage_tracking')
-    .update({
-      analyses_count: usage.analyses_count + 1,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', usage.id)
-    .select()
-    .single();
-  
+
+  if (!subscription) {
+    return { current: usage.analyses_count, limit: 0, remaining: 0 };
+  }
+
+  if (subscription.monthly_limit === -1) {
+    return { current: usage.analyses_count, limit: 'unlimited', remaining: 'unlimited' };
+  }
+
+  return {
+    current: usage.analyses_count,
+    limit: subscription.monthly_limit,
+    remaining: Math.max(0, subscription.monthly_limit - usage.analyses_count)
+  };
+}
+
+/**
+ * Units counting against this month's limit: committed usage plus open
+ * reservations (the same count reserveUsage checks the limit against)
+ */
+async function getUsageUnits(userId) {
+  const { data, error } = await supabaseAdmin.rpc('usage_units', {
+    p_user_id: userId,
+    p_month: new Date().toISOString().slice(0, 7)
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Reserve analysis units in the usage ledger before doing the work.
+ * Resolves with the reservation ID, or null when it would pass the monthly limit.
+ * The check and the insert happen in one transaction (migrations/010_usage_ledger.sql).
+ */
+async function reserveUsage(userId, { units, limit, route = null }) {
+  const { data, error } = await supabaseAdmin.rpc('reserve_usage', {
+    p_user_id: userId,
+    p_units: units,
+    p_limit: limit,
+    p_route: route
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Commit a reservation once the work succeeded. Resolves false if it was already settled.
+ */
+async function commitUsage(reservationId) {
+  const { data, error } = await supabaseAdmin.rpc('commit_usage', { p_reservation_id: reservationId });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Refund a reservation when the work failed. Resolves false if it was already settled.
+ */
+async function refundUsage(reservationId) {
+  const { data, error } = await supabaseAdmin.rpc('refund_usage', { p_reservation_id: reservationId });
+
   if (error) throw error;
   return data;
 }
@@ -166,8 +220,15 @@ async function saveAnalysis(userId, analysisData) {
     .insert({
       user_id: userId,
       extracted_text: analysisData.extractedText,
+      transcript: analysisData.transcript || null,
       hidden_intent: analysisData.hiddenIntent,
-      strategic_response: analysisData.strategicResponse
+      behavior_type: analysisData.behaviorType,
+      behaviors: analysisData.behaviors || null,
+      strategic_response: analysisData.strategicResponse,
+      tone: analysisData.tone,
+      reply_variants: analysisData.replyVariants || null,
+      prompt_version: analysisData.promptVersion,
+      language: analysisData.language || null
     })
     .select()
     .single();
@@ -176,6 +237,280 @@ async function saveAnalysis(userId, analysisData) {
   return data;
 }
 
+/**
+ * Get a page of a user's analysis history, newest first
+ */
+async function getAnalysisHistory(userId, { limit = 20, offset = 0 } = {}) {
+  const { data, error, count } = await supabaseAdmin
+    .from('analyses_history')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { entries: data, total: count };
+}
+
+/**
+ * Get a single analysis history entry owned by the user
+ */
+async function getAnalysisById(userId, analysisId) {
+  const { data, error } = await supabaseAdmin
+    .from('analyses_history')
+    .select('*')
+    .eq('id', analysisId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+  return data;
+}
+
+/**
+ * Search a user's analysis history by text and/or behavior type
+ */
+async function searchAnalysisHistory(userId, { query, behaviorType, limit = 20, offset = 0 } = {}) {
+  let request = supabaseAdmin
+    .from('analyses_history')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId);
+
+  if (query) {
+    // Strip characters that have meaning inside a PostgREST or() filter
+    const term = query.replace(/[%,()*]/g, ' ').trim();
+    request = request.or(
+      `extracted_text.ilike.%${term}%,hidden_intent.ilike.%${term}%,strategic_response.ilike.%${term}%`
+    );
+  }
+
+  if (behaviorType) {
+    request = request.eq('behavior_type', behaviorType.toUpperCase());
+  }
+
+  const { data, error, count } = await request
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { entries: data, total: count };
+}
+
+/**
+ * Delete an analysis history entry owned by the user
+ * Returns false when no matching entry exists
+ */
+async function deleteAnalysis(userId, analysisId) {
+  const { data, error } = await supabaseAdmin
+    .from('analyses_history')
+    .delete()
+    .eq('id', analysisId)
+    .eq('user_id', userId)
+    .select();
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Save a user's feedback on one of their analyses. Feedback sent again only
+ * changes the fields given. The analysis' prompt version, label and tone are copied in.
+ */
+async function saveAnalysisFeedback(userId, analysis, feedback) {
+  const { data, error } = await supabaseAdmin
+    .from('analysis_feedback')
+    .upsert({
+      analysis_id: analysis.id,
+      user_id: userId,
+      ...feedback,
+      prompt_version: analysis.prompt_version,
+      behavior_type: analysis.behavior_type,
+      tone: analysis.tone,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'analysis_id,user_id'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Feedback counts per prompt version and behavior label, optionally for
+ * feedback given in [since, until)
+ */
+async function getFeedbackReport({ since = null, until = null } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('analysis_feedback_report', {
+    p_since: since,
+    p_until: until
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Refinement thread of an analysis, oldest first
+ */
+async function getReplyRefinements(analysisId) {
+  const { data, error } = await supabaseAdmin
+    .from('reply_refinements')
+    .select('*')
+    .eq('analysis_id', analysisId)
+    .order('turn', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Add a turn to an analysis' refinement thread. Rejects with code 23505 when
+ * another request already took that turn.
+ */
+async function saveReplyRefinement(userId, analysisId, refinement) {
+  const { data, error } = await supabaseAdmin
+    .from('reply_refinements')
+    .insert({
+      analysis_id: analysisId,
+      user_id: userId,
+      turn: refinement.turn,
+      instruction: refinement.instruction,
+      reply: refinement.reply,
+      charged: refinement.charged,
+      prompt_version: refinement.promptVersion
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a safety flag for review (userId is null for anonymous requests)
+ */
+async function saveSafetyFlag(userId, flagData) {
+  const { error } = await supabaseAdmin
+    .from('safety_flags')
+    .insert({
+      user_id: userId,
+      route: flagData.route,
+      severity: flagData.severity,
+      categories: flagData.categories,
+      source: flagData.source,
+      prompt_version: flagData.promptVersion
+    });
+
+  if (error) throw error;
+}
+
+/**
+ * Create a queued job
+ */
+async function createJob(userId, jobData) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .insert({
+      user_id: userId,
+      type: jobData.type,
+      input: jobData.input,
+      metering: jobData.metering || null,
+      callback_url: jobData.callbackUrl || null,
+      callback_status: jobData.callbackUrl ? 'pending' : null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a job owned by the user
+ */
+async function getJobById(userId, jobId) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+  return data;
+}
+
+/**
+ * Mark a job as running, as long as nobody else started it since it was read
+ * (status and attempts act as the version). Resolves with the claimed job or null.
+ */
+async function claimJob(job) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      started_at: new Date().toISOString()
+    })
+    .eq('id', job.id)
+    .eq('status', job.status)
+    .eq('attempts', job.attempts)
+    .select();
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+/**
+ * Store a job's outcome, as long as it is still the run that claimed it (a
+ * restarted run bumps attempts). Resolves with the finished job or null.
+ */
+async function completeJob(job, fields) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .update(fields)
+    .eq('id', job.id)
+    .eq('status', 'running')
+    .eq('attempts', job.attempts)
+    .select();
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+/**
+ * Jobs nobody is working on: queued since before queuedBefore, or running
+ * since before runningBefore. Oldest first.
+ */
+async function getStaleJobs({ queuedBefore, runningBefore, limit }) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .select('*')
+    .or(`and(status.eq.queued,created_at.lt."${queuedBefore}"),and(status.eq.running,started_at.lt."${runningBefore}")`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a job's columns
+ */
+async function updateJob(jobId, fields) {
+  const { data, error } = await supabaseAdmin
+    .from('jobs')
+    .update(fields)
+    .eq('id', jobId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Create or update user subscription
  */
@@ -235,21 +570,6 @@ async function cancelUserSubscription(userId) {
   return data;
 }
 
-/**
- * Check if user has reached usage limit
- */
-async function hasReachedUsageLimit(userId) {
-  const subscription = await getUserSubscription(userId);
-
-  if (!subscription) return true; // No subscription = limit reached
-
-  // Unlimited plans have monthly_limit = -1
-  if (subscription.monthly_limit === -1) return false;
-
-  const usage = await getUserUsage(userId);
-  return usage.analyses_count >= subscription.monthly_limit;
-}
-
   module.exports = {
 	supabaseAdmin,
 	getUserById,
@@ -259,9 +579,27 @@ async function hasReachedUsageLimit(userId) {
 	getUserSubscription,
 	isUserSubscribed,
 	getUserUsage,
-	incrementUsage,
+	getUsageUnits,
+	getUsageSummary,
+	reserveUsage,
+	commitUsage,
+	refundUsage,
 	saveAnalysis,
+	getAnalysisHistory,
+	getAnalysisById,
+	searchAnalysisHistory,
+	deleteAnalysis,
+	saveAnalysisFeedback,
+	getFeedbackReport,
+	getReplyRefinements,
+	saveReplyRefinement,
+	saveSafetyFlag,
+	createJob,
+	getJobById,
+	claimJob,
+	completeJob,
+	getStaleJobs,
+	updateJob,
 	upsertSubscription,
-	cancelUserSubscription,
-	hasReachedUsageLimit
+	cancelUserSubscription
   };
\ No newline at end of file
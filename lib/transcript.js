@@ -0,0 +1,154 @@
+// Conversation transcripts: ordered [{ sender: 'them' | 'me', text, timestamp? }]
+const { stripBidiControls } = require('./language');
+
+const SENDERS = ['them', 'me'];
+
+// Other spellings models and exports use for the two sides
+const SENDER_ALIASES = {
+  them: 'them',
+  received: 'them',
+  other: 'them',
+  left: 'them',
+  me: 'me',
+  sent: 'me',
+  user: 'me',
+  self: 'me',
+  right: 'me'
+};
+
+/**
+ * Validate and clean a transcript from a client or a model.
+ * Returns { transcript, errors } - transcript is null when nothing usable remains.
+ */
+function normalizeTranscript(raw) {
+  if (!Array.isArray(raw)) {
+    return { transcript: null, errors: ['transcript must be an array'] };
+  }
+
+  const errors = [];
+  const transcript = [];
+
+  raw.forEach((entry, i) => {
+    const sender = SENDER_ALIASES[String(entry?.sender || '').trim().toLowerCase()];
+    const text = typeof entry?.text === 'string' ? stripBidiControls(entry.text).trim() : '';
+
+    if (!sender) {
+      errors.push(`message ${i + 1} sender must be one of: ${SENDERS.join(', ')}`);
+      return;
+    }
+
+    // Empty bubbles (stickers, deleted messages) carry nothing to analyze
+    if (!text) return;
+
+    const message = { sender, text };
+    if (typeof entry.timestamp === 'string' && entry.timestamp.trim()) {
+      message.timestamp = entry.timestamp.trim();
+    }
+
+    transcript.push(message);
+  });
+
+  if (errors.length > 0) return { transcript: null, errors };
+  if (transcript.length === 0) return { transcript: null, errors: ['transcript has no messages'] };
+
+  return { transcript, errors };
+}
+
+/**
+ * Texts of the messages the user received
+ */
+function receivedMessages(transcript) {
+  return transcript.filter(message => message.sender === 'them').map(message => message.text);
+}
+
+/**
+ * Render a transcript for a prompt or for history ("Them: ..." / "Me: ..." lines)
+ */
+function formatTranscript(transcript, { quote = false } = {}) {
+  return transcript
+    .map(message => {
+      const speaker = message.sender === 'them' ? 'Them' : 'Me';
+      return `${speaker}: ${quote ? `"${message.text}"` : message.text}`;
+    })
+    .join('\n');
+}
+
+// Single-message overlaps only count when the message is distinctive enough
+// that a legitimate repeat ("ok", "lol") is unlikely
+const MIN_SINGLE_OVERLAP_LENGTH = 8;
+
+/**
+ * Join transcripts from consecutive, possibly overlapping screenshots.
+ * Messages visible at the bottom of one screenshot and the top of the next
+ * are kept once. Bubbles cut off at a screenshot edge still match.
+ * Returns { transcript, duplicatesRemoved }.
+ */
+function stitchTranscripts(parts) {
+  const stitched = [];
+  let duplicatesRemoved = 0;
+
+  for (const part of parts) {
+    const overlap = findOverlap(stitched, part);
+
+    // Keep the more complete copy of each overlapping bubble
+    for (let i = 0; i < overlap; i++) {
+      const existing = stitched[stitched.length - overlap + i];
+      if (part[i].text.length > existing.text.length) existing.text = part[i].text;
+      if (!existing.timestamp && part[i].timestamp) existing.timestamp = part[i].timestamp;
+    }
+
+    stitched.push(...part.slice(overlap).map(message => ({ ...message })));
+    duplicatesRemoved += overlap;
+  }
+
+  return { transcript: stitched, duplicatesRemoved };
+}
+
+// Longest k where the last k messages of previous line up with the first k of next
+function findOverlap(previous, next) {
+  for (let k = Math.min(previous.length, next.length); k > 0; k--) {
+    const tail = previous.slice(previous.length - k);
+    const matches = tail.every((message, i) =>
+      messagesMatch(message, next[i], { first: i === 0, last: i === k - 1 })
+    );
+
+    if (!matches) continue;
+
+    if (k === 1) {
+      const sameTimestamp = tail[0].timestamp && tail[0].timestamp === next[0].timestamp;
+      if (!sameTimestamp && normalizeText(tail[0].text).length < MIN_SINGLE_OVERLAP_LENGTH) continue;
+    }
+
+    return k;
+  }
+
+  return 0;
+}
+
+function messagesMatch(a, b, { first, last }) {
+  if (a.sender !== b.sender) return false;
+
+  const textA = normalizeText(a.text);
+  const textB = normalizeText(b.text);
+  if (textA === textB) return true;
+
+  // The first overlapping bubble can be cut off at the top of the next screenshot,
+  // and the last one at the bottom of the previous screenshot
+  if (first && textA.endsWith(textB) && textB.length > 0) return true;
+  if (last && textB.startsWith(textA) && textA.length > 0) return true;
+
+  return false;
+}
+
+// Compare on letters and digits only - OCR is inconsistent with spacing and punctuation
+function normalizeText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+module.exports = {
+  SENDERS,
+  stitchTranscripts,
+  normalizeTranscript,
+  receivedMessages,
+  formatTranscript
+};
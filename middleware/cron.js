@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Middleware restricting a route to scheduled calls: Vercel Cron sends
+ * Authorization: Bearer <CRON_SECRET>. Without CRON_SECRET every call is refused.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers.authorization || '');
+
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+
+  next();
+}
+
+module.exports = { requireCronSecret };
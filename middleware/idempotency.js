@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { createStore } = require('../lib/store');
+
+// How long a completed response can be replayed
+const IDEMPOTENCY_TTL = 24 * 3600000; // 24 hours
+// How long a key stays locked by a request that never finished (crashed instance)
+const IN_PROGRESS_TTL = 5 * 60000; // 5 minutes
+
+const MAX_KEY_LENGTH = 255;
+
+const responses = createStore('idempotency');
+
+/**
+ * Hash of everything that makes two requests "the same": route, JSON/form
+ * fields and uploaded files
+ */
+function fingerprintRequest(req) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+  hash.update(JSON.stringify(sortKeys(req.body || {})));
+
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+  for (const file of files) {
+    hash.update(`\n${file.fieldname}:`);
+    hash.update(file.buffer);
+  }
+
+  return hash.digest('hex');
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Middleware adding Idempotency-Key support to a POST route.
+ * The first successful (2xx) JSON response is stored per user and key and
+ * replayed for retries with the same body; the same key with a different body
+ * gets a 409. Failed requests free the key so they can be retried.
+ * Must run after authenticateUser and after any upload parsing.
+ */
+async function idempotent(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const storeKey = `${req.userId}:${req.baseUrl}${req.path}:${key}`;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    const claimed = await responses.setIfAbsent(storeKey, { state: 'in_progress', fingerprint }, { ttl: IN_PROGRESS_TTL });
+
+    if (!claimed) {
+      const previous = await responses.get(storeKey);
+
+      if (previous && previous.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request. Use a new key for a new request.'
+        });
+      }
+
+      if (previous && previous.state === 'completed') {
+        console.log('♻️ Replaying idempotent response:', req.path);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(previous.status).json(previous.body);
+      }
+
+      if (previous) {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed. Retry shortly.'
+        });
+      }
+
+      // Expired between the two calls - treat it as a new request
+      await responses.set(storeKey, { state: 'in_progress', fingerprint }, { ttl: IN_PROGRESS_TTL });
+    }
+  } catch (error) {
+    // Without the store we can't deduplicate, but the request itself can still run
+    console.error('Idempotency store error, processing without it:', error.message);
+    return next();
+  }
+
+  // Keep the body the handler sends so it can be replayed
+  let body;
+  const json = res.json.bind(res);
+  res.json = payload => {
+    body = payload;
+    return json(payload);
+  };
+
+  let settled = false;
+  const settle = async () => {
+    if (settled) return;
+    settled = true;
+
+    try {
+      if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300 && body !== undefined) {
+        await responses.set(storeKey, { state: 'completed', fingerprint, status: res.statusCode, body }, { ttl: IDEMPOTENCY_TTL });
+      } else {
+        await responses.delete(storeKey);
+      }
+    } catch (error) {
+      console.error('Idempotency store error:', error.message);
+    }
+  };
+
+  res.on('finish', settle);
+  res.on('close', settle);
+
+  next();
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,28 @@
+const { createRateLimiter, setRateLimitHeaders, formatWait } = require('../lib/rate-limit');
+
+// Same namespace as the AI route limits in server.js; buckets keep them apart
+const limiter = createRateLimiter('rate-limit');
+
+/**
+ * Build middleware rate limiting a route group (ROUTE_GROUP_LIMITS in
+ * lib/rate-limit.js). Counts per user after authenticateUser, otherwise per IP address.
+ */
+function rateLimit(group) {
+  return async function (req, res, next) {
+    const id = req.userId || `ip:${req.ip}`;
+    const result = await limiter.hit(id, { group });
+    const retryAfter = setRateLimitHeaders(res, result);
+
+    if (!result.allowed) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `You are making too many requests. Please try again in ${formatWait(retryAfter)}.`,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit };
@@ -0,0 +1,33 @@
+const { getUserSubscription } = require('../lib/supabase');
+const { FEATURES, hasFeature, buildUpgradeRequired } = require('../lib/entitlements');
+
+/**
+ * Build middleware restricting a route to active subscribers whose tier
+ * includes the feature (see lib/entitlements.js). Must run after authenticateUser.
+ */
+function requireFeature(feature) {
+  if (!FEATURES[feature]) throw new Error(`Unknown feature: ${feature}`);
+
+  return async function (req, res, next) {
+    try {
+      const subscription = await getUserSubscription(req.userId);
+      const isActive = subscription && new Date(subscription.expires_at) > new Date();
+
+      if (!isActive || !hasFeature(subscription.tier, feature)) {
+        return res.status(403).json(buildUpgradeRequired(feature, isActive ? subscription.tier : null));
+      }
+
+      req.subscription = subscription;
+      next();
+
+    } catch (error) {
+      console.error('Subscription access check error:', error);
+      return res.status(500).json({
+        error: 'Failed to verify subscription',
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = { requireFeature };
@@ -0,0 +1,26 @@
+-- Migration: Analysis history
+-- Run this in your Supabase SQL Editor
+
+-- Create the history table if it doesn't exist yet
+CREATE TABLE IF NOT EXISTS analyses_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    extracted_text TEXT,
+    hidden_intent TEXT,
+    strategic_response TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Behavior label parsed from the analysis (e.g. GUILT TRIPPING)
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS behavior_type VARCHAR(100);
+
+-- Index for paginated, newest-first listing per user
+CREATE INDEX IF NOT EXISTS idx_analyses_history_user_created
+ON analyses_history(user_id, created_at DESC);
+
+-- Index for filtering by behavior type
+CREATE INDEX IF NOT EXISTS idx_analyses_history_user_behavior
+ON analyses_history(user_id, behavior_type);
+
+COMMENT ON COLUMN analyses_history.behavior_type IS 'Behavior label from the analysis, stored uppercase';
@@ -0,0 +1,7 @@
+-- Migration: Record the reply tone (persona) used for each analysis
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS tone VARCHAR(30) DEFAULT 'savage';
+
+COMMENT ON COLUMN analyses_history.tone IS 'Reply persona used: savage, boundary, deescalate, professional';
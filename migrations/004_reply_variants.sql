@@ -0,0 +1,7 @@
+-- Migration: Store ranked reply variants with each analysis
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS reply_variants JSONB;
+
+COMMENT ON COLUMN analyses_history.reply_variants IS 'Ranked reply variants: [{ rank, tone, reply, escalationRisk, escalationLevel }]. NULL for single-reply analyses';
@@ -0,0 +1,16 @@
+-- Migration: Record which prompt version produced each analysis
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(100);
+
+-- Analyses before versioning used the original prompt
+UPDATE analyses_history
+SET prompt_version = 'analysis@v1'
+WHERE prompt_version IS NULL;
+
+-- Index for comparing outcomes between prompt versions
+CREATE INDEX IF NOT EXISTS idx_analyses_history_prompt_version
+ON analyses_history(prompt_version, created_at DESC);
+
+COMMENT ON COLUMN analyses_history.prompt_version IS 'Prompt id and version from lib/prompts, e.g. analysis@v2';
@@ -0,0 +1,7 @@
+-- Migration: Store the two-sided transcript an analysis was based on
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS transcript JSONB;
+
+COMMENT ON COLUMN analyses_history.transcript IS 'Ordered [{ sender: them|me, text, timestamp? }]. NULL when only received messages were analyzed';
@@ -0,0 +1,7 @@
+-- Migration: Store detected behaviors with confidence and quoted evidence
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS behaviors JSONB;
+
+COMMENT ON COLUMN analyses_history.behaviors IS 'Structured analyses only: [{ id, confidence, evidence: [{ quote, messageIndex }] }], most confident first. IDs come from lib/behaviors.js';
@@ -0,0 +1,28 @@
+-- Migration: Safety flags for review
+-- Run this in your Supabase SQL Editor
+
+-- One row per analysis request that was flagged and got no reply
+CREATE TABLE IF NOT EXISTS safety_flags (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    route VARCHAR(100) NOT NULL,
+    severity VARCHAR(20) NOT NULL,
+    categories JSONB NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    prompt_version VARCHAR(100),
+    reviewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE safety_flags
+DROP CONSTRAINT IF EXISTS valid_safety_severity,
+ADD CONSTRAINT valid_safety_severity
+CHECK (severity IN ('low', 'medium', 'high'));
+
+-- Review queue: unreviewed flags, most severe and newest first
+CREATE INDEX IF NOT EXISTS idx_safety_flags_review
+ON safety_flags(reviewed_at, severity, created_at DESC);
+
+COMMENT ON TABLE safety_flags IS 'Conversations flagged by the safety check in lib/safety.js. Stores quoted evidence only, not the full conversation';
+COMMENT ON COLUMN safety_flags.categories IS '[{ id, label, severity, evidence: [quote] }]';
+COMMENT ON COLUMN safety_flags.source IS 'model, or keywords when the classifier was unavailable';
@@ -0,0 +1,7 @@
+-- Migration: Store the conversation language of each analysis
+-- Run this in your Supabase SQL Editor
+
+ALTER TABLE analyses_history
+ADD COLUMN IF NOT EXISTS language VARCHAR(35);
+
+COMMENT ON COLUMN analyses_history.language IS 'BCP 47 tag of the analyzed conversation (e.g. es, pt-BR). NULL when it could not be detected';
@@ -0,0 +1,154 @@
+-- Migration: Append-only usage ledger with reserve/commit/refund
+-- Run this in your Supabase SQL Editor
+
+-- Every change to a user's usage is a new row; rows are never updated.
+-- A reservation is settled by exactly one commit or refund row that points at it.
+CREATE TABLE IF NOT EXISTS usage_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    month VARCHAR(7) NOT NULL,
+    entry_type VARCHAR(10) NOT NULL,
+    units INTEGER NOT NULL,
+    route VARCHAR(100),
+    reservation_id UUID REFERENCES usage_ledger(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE usage_ledger
+DROP CONSTRAINT IF EXISTS valid_usage_entry,
+ADD CONSTRAINT valid_usage_entry
+CHECK (
+    (entry_type = 'reserve' AND reservation_id IS NULL AND units > 0)
+    OR (entry_type IN ('commit', 'refund') AND reservation_id IS NOT NULL)
+);
+
+-- One settlement per reservation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_usage_ledger_settlement
+ON usage_ledger(reservation_id)
+WHERE reservation_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_usage_ledger_user_month
+ON usage_ledger(user_id, month);
+
+-- Units counting against the limit this month: committed reservations plus
+-- open ones younger than 10 minutes (older ones were abandoned by a crashed request)
+CREATE OR REPLACE FUNCTION usage_units(p_user_id UUID, p_month VARCHAR)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(SUM(r.units), 0)::INTEGER
+    FROM usage_ledger r
+    LEFT JOIN usage_ledger s ON s.reservation_id = r.id
+    WHERE r.user_id = p_user_id
+      AND r.month = p_month
+      AND r.entry_type = 'reserve'
+      AND (s.entry_type = 'commit' OR (s.id IS NULL AND r.created_at > NOW() - INTERVAL '10 minutes'));
+$$ LANGUAGE sql STABLE;
+
+-- Carry over usage counted in usage_tracking before the ledger existed, so
+-- quotas don't reset mid-month on deploy. Adds one committed reservation per
+-- user for whatever part of this month's count the ledger doesn't have yet,
+-- so running this migration again adds nothing.
+WITH missing AS (
+    SELECT t.user_id, t.month, t.analyses_count - COALESCE((
+        SELECT SUM(r.units)
+        FROM usage_ledger r
+        JOIN usage_ledger s ON s.reservation_id = r.id AND s.entry_type = 'commit'
+        WHERE r.user_id = t.user_id AND r.month = t.month AND r.entry_type = 'reserve'
+    ), 0) AS units
+    FROM usage_tracking t
+    WHERE t.month = TO_CHAR(NOW() AT TIME ZONE 'UTC', 'YYYY-MM')
+),
+carried AS (
+    INSERT INTO usage_ledger (user_id, month, entry_type, units, route)
+    SELECT user_id, month, 'reserve', units, 'usage_tracking'
+    FROM missing
+    WHERE units > 0
+    RETURNING id, user_id, month, units, route
+)
+INSERT INTO usage_ledger (user_id, month, entry_type, units, route, reservation_id)
+SELECT user_id, month, 'commit', units, route, id
+FROM carried;
+
+-- Reserve units before the work starts. Returns the reservation ID, or NULL
+-- when it would take the user past p_limit (-1 means unlimited).
+CREATE OR REPLACE FUNCTION reserve_usage(p_user_id UUID, p_units INTEGER, p_limit INTEGER, p_route VARCHAR DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+    v_month VARCHAR(7) := TO_CHAR(NOW() AT TIME ZONE 'UTC', 'YYYY-MM');
+    v_id UUID;
+BEGIN
+    -- Serialize reservations per user so concurrent requests can't both fit under the limit
+    PERFORM pg_advisory_xact_lock(hashtext('usage:' || p_user_id::TEXT));
+
+    IF p_limit <> -1 AND usage_units(p_user_id, v_month) + p_units > p_limit THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO usage_ledger (user_id, month, entry_type, units, route)
+    VALUES (p_user_id, v_month, 'reserve', p_units, p_route)
+    RETURNING id INTO v_id;
+
+    RETURN v_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Settle a reservation with a commit or refund row. Returns FALSE if it was
+-- already settled or doesn't exist. Commits also update usage_tracking.
+CREATE OR REPLACE FUNCTION settle_usage(p_reservation_id UUID, p_entry_type VARCHAR)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_reservation usage_ledger%ROWTYPE;
+BEGIN
+    SELECT * INTO v_reservation
+    FROM usage_ledger
+    WHERE id = p_reservation_id AND entry_type = 'reserve';
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('usage:' || v_reservation.user_id::TEXT));
+
+    INSERT INTO usage_ledger (user_id, month, entry_type, units, route, reservation_id)
+    VALUES (v_reservation.user_id, v_reservation.month, p_entry_type, v_reservation.units, v_reservation.route, p_reservation_id)
+    ON CONFLICT (reservation_id) WHERE reservation_id IS NOT NULL DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    -- Keep the monthly counter read by the status endpoints in step
+    IF p_entry_type = 'commit' THEN
+        UPDATE usage_tracking
+        SET analyses_count = analyses_count + v_reservation.units
+        WHERE user_id = v_reservation.user_id AND month = v_reservation.month;
+
+        IF NOT FOUND THEN
+            INSERT INTO usage_tracking (user_id, month, analyses_count)
+            VALUES (v_reservation.user_id, v_reservation.month, v_reservation.units);
+        END IF;
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION commit_usage(p_reservation_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT settle_usage(p_reservation_id, 'commit');
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION refund_usage(p_reservation_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT settle_usage(p_reservation_id, 'refund');
+$$ LANGUAGE sql;
+
+-- Only the service role may touch the ledger
+ALTER TABLE usage_ledger ENABLE ROW LEVEL SECURITY;
+REVOKE EXECUTE ON FUNCTION reserve_usage(UUID, INTEGER, INTEGER, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION settle_usage(UUID, VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION commit_usage(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refund_usage(UUID) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE usage_ledger IS 'Append-only usage ledger: reserve rows, each settled by one commit or refund row';
+COMMENT ON COLUMN usage_ledger.units IS 'Analysis units (see ROUTE_COSTS in lib/metering.js)';
+COMMENT ON COLUMN usage_ledger.reservation_id IS 'The reserve row a commit or refund settles';
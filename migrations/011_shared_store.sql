@@ -0,0 +1,177 @@
+-- Migration: Shared key-value store for rate limits and caches (STORE_BACKEND=postgres)
+-- Run this in your Supabase SQL Editor
+
+-- Cache entries and other short-lived values, per namespace (see lib/store)
+CREATE TABLE IF NOT EXISTS store_entries (
+    namespace VARCHAR(100) NOT NULL,
+    key TEXT NOT NULL,
+    value JSONB NOT NULL,
+    expires_at TIMESTAMPTZ,
+    accessed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (namespace, key)
+);
+
+-- LRU eviction walks entries by last access
+CREATE INDEX IF NOT EXISTS idx_store_entries_lru
+ON store_entries(namespace, accessed_at DESC);
+
+-- Sliding-window rate limit hits
+CREATE TABLE IF NOT EXISTS store_window_hits (
+    id BIGSERIAL PRIMARY KEY,
+    namespace VARCHAR(100) NOT NULL,
+    key TEXT NOT NULL,
+    hit_at TIMESTAMPTZ NOT NULL DEFAULT CLOCK_TIMESTAMP(),
+    -- When the hit leaves its window; past this, any call may sweep it
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_window_hits_key
+ON store_window_hits(namespace, key, hit_at);
+
+CREATE INDEX IF NOT EXISTS idx_store_window_hits_expires
+ON store_window_hits(expires_at);
+
+-- Read an entry and mark it as recently used. Returns NULL when missing or expired.
+CREATE OR REPLACE FUNCTION store_get(p_namespace VARCHAR, p_key TEXT)
+RETURNS JSONB AS $$
+    UPDATE store_entries
+    SET accessed_at = NOW()
+    WHERE namespace = p_namespace AND key = p_key
+      AND (expires_at IS NULL OR expires_at > NOW())
+    RETURNING value;
+$$ LANGUAGE sql;
+
+-- Write an entry, then drop expired entries and the least recently used past p_max_entries.
+-- With p_only_if_absent, an existing live entry is kept and FALSE is returned.
+CREATE OR REPLACE FUNCTION store_set(
+    p_namespace VARCHAR,
+    p_key TEXT,
+    p_value JSONB,
+    p_ttl_ms INTEGER DEFAULT NULL,
+    p_max_entries INTEGER DEFAULT NULL,
+    p_only_if_absent BOOLEAN DEFAULT FALSE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_expires_at TIMESTAMPTZ := CASE WHEN p_ttl_ms IS NULL THEN NULL
+                                     ELSE NOW() + p_ttl_ms * INTERVAL '1 millisecond' END;
+BEGIN
+    IF p_only_if_absent THEN
+        -- An expired entry doesn't count as present
+        DELETE FROM store_entries
+        WHERE namespace = p_namespace AND key = p_key AND expires_at <= NOW();
+
+        INSERT INTO store_entries (namespace, key, value, expires_at)
+        VALUES (p_namespace, p_key, p_value, v_expires_at)
+        ON CONFLICT (namespace, key) DO NOTHING;
+
+        IF NOT FOUND THEN
+            RETURN FALSE;
+        END IF;
+    ELSE
+        INSERT INTO store_entries (namespace, key, value, expires_at)
+        VALUES (p_namespace, p_key, p_value, v_expires_at)
+        ON CONFLICT (namespace, key) DO UPDATE
+        SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at, accessed_at = NOW();
+    END IF;
+
+    DELETE FROM store_entries
+    WHERE namespace = p_namespace AND expires_at <= NOW();
+
+    IF p_max_entries IS NOT NULL THEN
+        DELETE FROM store_entries
+        WHERE namespace = p_namespace AND key IN (
+            SELECT key FROM store_entries
+            WHERE namespace = p_namespace
+            ORDER BY accessed_at DESC
+            OFFSET p_max_entries
+        );
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remove an entry and return it, so only one caller gets it. NULL when missing or expired.
+CREATE OR REPLACE FUNCTION store_take(p_namespace VARCHAR, p_key TEXT)
+RETURNS JSONB AS $$
+    WITH taken AS (
+        DELETE FROM store_entries
+        WHERE namespace = p_namespace AND key = p_key
+        RETURNING value, expires_at
+    )
+    SELECT value FROM taken WHERE expires_at IS NULL OR expires_at > NOW();
+$$ LANGUAGE sql;
+
+-- Record a hit in several sliding windows at once (e.g. a burst and a sustained limit),
+-- if each has fewer than its p_limits entry in the last p_window_ms entry. A window
+-- that is full blocks the hit in all of them. Returns a row per window, in order:
+-- whether it had room, the hits now in it and the oldest one.
+-- Each call also sweeps a batch of expired hits, so keys that go idle don't leave rows behind.
+CREATE OR REPLACE FUNCTION store_sliding_window_hit(p_namespace VARCHAR, p_keys TEXT[], p_window_ms INTEGER[], p_limits INTEGER[])
+RETURNS TABLE (allowed BOOLEAN, hits INTEGER, oldest_at TIMESTAMPTZ) AS $$
+DECLARE
+    v_now TIMESTAMPTZ := CLOCK_TIMESTAMP();
+    v_counts INTEGER[] := '{}';
+    v_count INTEGER;
+    v_allowed BOOLEAN := TRUE;
+    v_key TEXT;
+BEGIN
+    -- Skip rows another call is already sweeping rather than wait on them
+    DELETE FROM store_window_hits
+    WHERE id IN (
+        SELECT h.id FROM store_window_hits h
+        WHERE h.expires_at <= v_now
+        LIMIT 500
+        FOR UPDATE SKIP LOCKED
+    );
+
+    -- Serialize hits per key so two requests can't both take the last slot.
+    -- Keys are locked in a fixed order so calls sharing keys can't deadlock.
+    FOR v_key IN SELECT DISTINCT k FROM UNNEST(p_keys) AS k ORDER BY k LOOP
+        PERFORM pg_advisory_xact_lock(hashtext('store:' || p_namespace || ':' || v_key));
+    END LOOP;
+
+    FOR i IN 1..COALESCE(ARRAY_LENGTH(p_keys, 1), 0) LOOP
+        DELETE FROM store_window_hits h
+        WHERE h.namespace = p_namespace AND h.key = p_keys[i]
+          AND h.hit_at <= v_now - p_window_ms[i] * INTERVAL '1 millisecond';
+
+        SELECT COUNT(*) INTO v_count
+        FROM store_window_hits h
+        WHERE h.namespace = p_namespace AND h.key = p_keys[i];
+
+        v_counts[i] := v_count;
+        IF v_count >= p_limits[i] THEN
+            v_allowed := FALSE;
+        END IF;
+    END LOOP;
+
+    FOR i IN 1..COALESCE(ARRAY_LENGTH(p_keys, 1), 0) LOOP
+        allowed := v_counts[i] < p_limits[i];
+        IF v_allowed THEN
+            INSERT INTO store_window_hits (namespace, key, hit_at, expires_at)
+            VALUES (p_namespace, p_keys[i], v_now, v_now + p_window_ms[i] * INTERVAL '1 millisecond');
+            v_counts[i] := v_counts[i] + 1;
+        END IF;
+
+        hits := v_counts[i];
+        SELECT MIN(h.hit_at) INTO oldest_at
+        FROM store_window_hits h
+        WHERE h.namespace = p_namespace AND h.key = p_keys[i];
+
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the service role may use the store
+ALTER TABLE store_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE store_window_hits ENABLE ROW LEVEL SECURITY;
+REVOKE EXECUTE ON FUNCTION store_get(VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION store_set(VARCHAR, TEXT, JSONB, INTEGER, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION store_take(VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION store_sliding_window_hit(VARCHAR, TEXT[], INTEGER[], INTEGER[]) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE store_entries IS 'Shared key-value store used by lib/store/postgres.js (caches, credits)';
+COMMENT ON TABLE store_window_hits IS 'Sliding-window rate limit hits used by lib/store/postgres.js';
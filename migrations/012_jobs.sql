@@ -0,0 +1,54 @@
+-- Migration: Asynchronous OCR and analysis jobs
+-- Run this in your Supabase SQL Editor
+
+-- One row per job submitted to POST /api/jobs (see lib/jobs.js)
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    input JSONB,
+    result JSONB,
+    error JSONB,
+    metering JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    callback_url TEXT,
+    callback_status VARCHAR(20),
+    callback_attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ
+);
+
+ALTER TABLE jobs
+DROP CONSTRAINT IF EXISTS valid_job_type,
+ADD CONSTRAINT valid_job_type
+CHECK (type IN ('ocr', 'ocr-batch', 'analyze'));
+
+ALTER TABLE jobs
+DROP CONSTRAINT IF EXISTS valid_job_status,
+ADD CONSTRAINT valid_job_status
+CHECK (status IN ('queued', 'running', 'succeeded', 'failed'));
+
+ALTER TABLE jobs
+DROP CONSTRAINT IF EXISTS valid_job_callback_status,
+ADD CONSTRAINT valid_job_callback_status
+CHECK (callback_status IS NULL OR callback_status IN ('pending', 'delivered', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_jobs_user_created
+ON jobs(user_id, created_at DESC);
+
+-- The jobs worker looks for queued and running jobs nobody finished
+CREATE INDEX IF NOT EXISTS idx_jobs_unfinished
+ON jobs(created_at)
+WHERE status IN ('queued', 'running');
+
+-- Only the service role may read or write jobs
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE jobs IS 'Asynchronous OCR/analysis jobs. Input images are stored preprocessed (downscaled JPEG, no metadata)';
+COMMENT ON COLUMN jobs.input IS 'Validated request: { images: [base64], mode } for OCR, { body, acceptLanguage } for analyze. NULL once the job finished';
+COMMENT ON COLUMN jobs.result IS 'Response body the matching synchronous route would have returned';
+COMMENT ON COLUMN jobs.error IS '{ status, error, message } when the job failed';
+COMMENT ON COLUMN jobs.metering IS '{ route, units, reservationId, credit }: the usage reserved at submission, settled when the job finishes';
+COMMENT ON COLUMN jobs.attempts IS 'Times the job was started; jobs abandoned by a crashed instance are restarted by the jobs worker up to 3 times';
@@ -0,0 +1,71 @@
+-- Migration: User feedback on analyses, for prompt quality tracking
+-- Run this in your Supabase SQL Editor
+
+-- One row per user and analysis; sending feedback again updates it.
+-- The analysis' prompt version, label and tone are copied in so the report
+-- still counts feedback on analyses that were deleted later.
+CREATE TABLE IF NOT EXISTS analysis_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    analysis_id UUID REFERENCES analyses_history(id) ON DELETE SET NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    helpful BOOLEAN,
+    label_correct BOOLEAN,
+    correct_behavior VARCHAR(50),
+    reply_used BOOLEAN,
+    comment TEXT,
+    prompt_version VARCHAR(100),
+    behavior_type VARCHAR(100),
+    tone VARCHAR(30),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_analysis_feedback_analysis_user
+ON analysis_feedback(analysis_id, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_feedback_report
+ON analysis_feedback(prompt_version, behavior_type, updated_at);
+
+-- Feedback counts per prompt version and behavior label, for feedback given
+-- in [p_since, p_until) (either bound may be NULL)
+CREATE OR REPLACE FUNCTION analysis_feedback_report(p_since TIMESTAMPTZ DEFAULT NULL, p_until TIMESTAMPTZ DEFAULT NULL)
+RETURNS TABLE (
+    prompt_version VARCHAR,
+    behavior_type VARCHAR,
+    responses BIGINT,
+    helpful BIGINT,
+    not_helpful BIGINT,
+    label_correct BIGINT,
+    label_wrong BIGINT,
+    top_correction VARCHAR,
+    reply_used BIGINT,
+    reply_not_used BIGINT,
+    comments BIGINT
+) AS $$
+    SELECT
+        f.prompt_version,
+        f.behavior_type,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE f.helpful),
+        COUNT(*) FILTER (WHERE NOT f.helpful),
+        COUNT(*) FILTER (WHERE f.label_correct),
+        COUNT(*) FILTER (WHERE NOT f.label_correct),
+        MODE() WITHIN GROUP (ORDER BY f.correct_behavior),
+        COUNT(*) FILTER (WHERE f.reply_used),
+        COUNT(*) FILTER (WHERE NOT f.reply_used),
+        COUNT(*) FILTER (WHERE f.comment IS NOT NULL)
+    FROM analysis_feedback f
+    WHERE (p_since IS NULL OR f.updated_at >= p_since)
+      AND (p_until IS NULL OR f.updated_at < p_until)
+    GROUP BY f.prompt_version, f.behavior_type
+    ORDER BY f.prompt_version, f.behavior_type;
+$$ LANGUAGE sql STABLE;
+
+-- Only the service role may read feedback or run the report
+ALTER TABLE analysis_feedback ENABLE ROW LEVEL SECURITY;
+REVOKE EXECUTE ON FUNCTION analysis_feedback_report(TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+COMMENT ON TABLE analysis_feedback IS 'Ratings of stored analyses from POST /api/history/:id/feedback';
+COMMENT ON COLUMN analysis_feedback.label_correct IS 'Whether the behavior label was right (NULL = not rated)';
+COMMENT ON COLUMN analysis_feedback.correct_behavior IS 'Behavior id from lib/behaviors.js the user says fits instead';
+COMMENT ON COLUMN analysis_feedback.behavior_type IS 'Label of the analysis when the feedback was given';
@@ -0,0 +1,27 @@
+-- Migration: Reply refinement threads on stored analyses
+-- Run this in your Supabase SQL Editor
+
+-- One row per refinement: the user's instruction ("shorter", "less rude") and
+-- the rewritten reply. Turns number each analysis' thread from 1; the unique
+-- index stops two concurrent requests from taking the same turn (and so the
+-- same free refinement).
+CREATE TABLE IF NOT EXISTS reply_refinements (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    analysis_id UUID NOT NULL REFERENCES analyses_history(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    turn INTEGER NOT NULL CHECK (turn > 0),
+    instruction TEXT NOT NULL,
+    reply TEXT NOT NULL,
+    charged BOOLEAN NOT NULL DEFAULT FALSE,
+    prompt_version VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reply_refinements_analysis_turn
+ON reply_refinements(analysis_id, turn);
+
+-- Only the service role reads or writes refinements
+ALTER TABLE reply_refinements ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE reply_refinements IS 'Reply rewrites from POST /api/history/:id/refinements';
+COMMENT ON COLUMN reply_refinements.charged IS 'Whether the refinement counted against the monthly quota (false = one of the free ones)';
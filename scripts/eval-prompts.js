@@ -0,0 +1,197 @@
+// Offline evaluation of the analysis prompt against golden conversations
+//
+// Usage: npm run eval -- [--provider mock|recorded|openai] [--record openai]
+//                        [--prompt v2] [--only <conversation id>]
+//
+// Every conversation in eval/golden-conversations.json goes through the same
+// pipeline as /api/analyze (lib/analyze.js), in markdown and json format (or
+// the conversation's "formats"), and the output is checked for:
+//   sections  all three sections (markdown) or a valid schema (json)
+//   label     a single uppercase behavior label
+//   taxonomy  the label is in lib/behaviors.js
+//   expected  the label is one the conversation expects (can't be checked with the mock provider)
+//   reply     the strategic reply fits the tone's sentence limit
+//
+// The default mock provider only exercises the format checks. --record openai
+// saves the model's answers to eval/recordings.json, which --provider recorded
+// then replays offline. The report has no timings or randomness: save it and diff two runs to see
+// what a prompt change did. Exits with 1 when any check fails or is skipped.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_FILE = path.join(__dirname, '..', 'eval', 'golden-conversations.json');
+const RECORDINGS_FILE = path.join(__dirname, '..', 'eval', 'recordings.json');
+const FORMATS = ['markdown', 'json'];
+const CHECKS = ['sections', 'label', 'taxonomy', 'expected', 'reply'];
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+  return value;
+}
+
+const args = process.argv.slice(2);
+const record = readOption(args, 'record');
+const provider = record ? 'recorded' : readOption(args, 'provider') || 'mock';
+
+// Route the analyze calls before lib/llm creates any provider
+process.env.LLM_ANALYZE_PROVIDER = provider;
+if (provider === 'recorded') process.env.LLM_RECORDINGS_FILE = RECORDINGS_FILE;
+if (record) process.env.LLM_RECORD_PROVIDER = record;
+
+const { generateAnalysis } = require('../lib/analyze');
+const { extractSection } = require('../lib/analysis');
+const { getBehavior } = require('../lib/behaviors');
+const { getPersona } = require('../lib/personas');
+const { DEFAULT_VERSIONS, getPromptVersion } = require('../lib/prompts');
+const { normalizeTranscript, receivedMessages } = require('../lib/transcript');
+const { DEFAULT_LANGUAGE, detectLanguage } = require('../lib/language');
+
+// Formats a conversation runs in. "none" is only offered in json, where the
+// model lists behaviors; the markdown prompt always asks for a manipulation label.
+function fixtureFormats(fixture) {
+  const formats = fixture.formats || FORMATS;
+
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0) throw new Error(`Unknown format in ${fixture.id}: ${unknown.join(', ')}`);
+  return formats;
+}
+
+// Build the request /api/analyze would get from readAnalyzeRequest
+function buildRequest(fixture, format) {
+  let messages = fixture.messages;
+  let transcript = null;
+
+  if (fixture.transcript) {
+    const normalized = normalizeTranscript(fixture.transcript);
+    if (!normalized.transcript) {
+      throw new Error(`Invalid transcript in ${fixture.id}: ${normalized.errors.join('; ')}`);
+    }
+
+    transcript = normalized.transcript;
+    messages = receivedMessages(transcript);
+  }
+
+  const persona = getPersona(fixture.tone);
+  if (!persona) throw new Error(`Unknown tone in ${fixture.id}: ${fixture.tone}`);
+
+  return {
+    messages,
+    transcript,
+    persona,
+    variantCount: 0,
+    jsonMode: format === 'json',
+    language: detectLanguage(transcript ? transcript.map(message => message.text) : messages),
+    userLanguage: DEFAULT_LANGUAGE
+  };
+}
+
+function countSentences(text) {
+  return text.split(/(?<=[.!?])\s+/).filter(part => /[\p{L}\p{N}]/u.test(part)).length;
+}
+
+/**
+ * Run the checks on one generated analysis. Returns { [check]: { status, detail } }
+ * where status is ok, FAIL or skip.
+ */
+function checkAnalysis(fixture, format, request, generated) {
+  const result = (status, detail = '') => ({ status, detail });
+
+  if (generated.error) {
+    const failed = Object.fromEntries(CHECKS.map(check => [check, result('FAIL', 'no analysis')]));
+    // Edited prompts no longer match their recordings (the cause is logged on stderr)
+    const hint = provider === 'recorded' ? ' (missing recording? run with --record <provider>)' : '';
+    failed.sections = result('FAIL', `${generated.error.error}${hint}`);
+    return failed;
+  }
+
+  const { analysis, content } = generated;
+  const checks = {};
+
+  // Markdown is checked as the model wrote it; json was already validated against the schema
+  const label = format === 'markdown' ? extractSection(content, 'Behavior Type') : analysis.behaviorType;
+  const reply = format === 'markdown' ? extractSection(content, 'Strategic Reply') : analysis.strategicReply;
+
+  if (format === 'markdown') {
+    const missing = ['Hidden Intent', 'Behavior Type', 'Strategic Reply'].filter(heading => !extractSection(content, heading));
+    checks.sections = missing.length === 0 ? result('ok') : result('FAIL', `missing ${missing.join(', ')}`);
+  } else {
+    checks.sections = result('ok');
+  }
+
+  checks.label = label && /^[A-Z][A-Z ]*[A-Z]$/.test(label)
+    ? result('ok', label)
+    : result('FAIL', label ? JSON.stringify(label) : 'no label');
+
+  const behavior = label ? getBehavior(label) : null;
+  checks.taxonomy = behavior ? result('ok', behavior.id) : result('FAIL', 'not in the taxonomy');
+
+  if (provider === 'mock') {
+    checks.expected = result('skip', 'mock output ignores the conversation, record with --record openai');
+  } else {
+    checks.expected = behavior && fixture.expected.includes(behavior.id)
+      ? result('ok')
+      : result('FAIL', `got ${behavior ? behavior.id : 'no behavior'}, expected ${fixture.expected.join(' or ')}`);
+  }
+
+  const limit = request.persona.maxReplySentences;
+  const sentences = reply ? countSentences(reply) : 0;
+  checks.reply = reply && sentences <= limit
+    ? result('ok', `${sentences}/${limit} sentences`)
+    : result('FAIL', reply ? `${sentences}/${limit} sentences` : 'no reply');
+
+  return checks;
+}
+
+async function main() {
+  const version = (readOption(args, 'prompt') || DEFAULT_VERSIONS.analysis).replace(/^analysis@/, '');
+  const prompt = getPromptVersion('analysis', version);
+  if (!prompt) throw new Error(`Unknown analysis prompt version: ${version}`);
+
+  const only = readOption(args, 'only');
+  const fixtures = JSON.parse(fs.readFileSync(FIXTURES_FILE, 'utf8'))
+    .filter(fixture => !only || fixture.id === only);
+  if (fixtures.length === 0) throw new Error(`No conversation with id ${only}`);
+
+  console.log(`Prompt eval: ${prompt.key}, provider ${record ? `recorded (recording from ${record})` : provider}, ${fixtures.length} conversations\n`);
+
+  const totals = Object.fromEntries(CHECKS.map(check => [check, { ok: 0, FAIL: 0, skip: 0 }]));
+
+  for (const fixture of fixtures) {
+    for (const format of fixtureFormats(fixture)) {
+      const request = buildRequest(fixture, format);
+      const generated = await generateAnalysis(request, prompt);
+      const checks = checkAnalysis(fixture, format, request, generated);
+
+      console.log(`${fixture.id} [${format}]`);
+      for (const check of CHECKS) {
+        const { status, detail } = checks[check];
+        totals[check][status]++;
+        console.log(`  ${check.padEnd(9)} ${status.padEnd(4)} ${detail}`.trimEnd());
+      }
+      console.log('');
+    }
+  }
+
+  console.log('Summary');
+  for (const check of CHECKS) {
+    const { ok, FAIL } = totals[check];
+    console.log(`  ${check.padEnd(9)} ${ok + FAIL === 0 ? 'skipped' : `${ok}/${ok + FAIL}`}`);
+  }
+
+  // A skipped check proves nothing, so it doesn't count as a pass
+  const failures = CHECKS.reduce((sum, check) => sum + totals[check].FAIL, 0);
+  const skipped = CHECKS.reduce((sum, check) => sum + totals[check].skip, 0);
+  const problems = [failures > 0 && `${failures} failed`, skipped > 0 && `${skipped} skipped`].filter(Boolean);
+  console.log(problems.length === 0 ? '\nPASS' : `\nFAIL (${problems.join(', ')} checks)`);
+  process.exitCode = problems.length === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('❌ Prompt eval failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+// Print analysis feedback per prompt version and behavior label
+//
+// Usage: node scripts/feedback-report.js [--since 2026-10-01] [--until 2026-11-01] [--json]
+require('dotenv').config();
+const { getFeedbackReport } = require('../lib/supabase');
+const { summarizeFeedbackReport } = require('../lib/feedback');
+
+const COLUMNS = [
+  ['promptVersion', 'Prompt'],
+  ['behaviorType', 'Label'],
+  ['responses', 'Responses'],
+  ['helpfulRate', 'Helpful'],
+  ['labelAccuracy', 'Label right'],
+  ['topCorrection', 'Top correction'],
+  ['replyUseRate', 'Reply used'],
+  ['comments', 'Comments']
+];
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+
+  const value = args[index + 1];
+  if (!value || Number.isNaN(Date.parse(value))) {
+    throw new Error(`--${name} needs a date, e.g. 2026-10-01`);
+  }
+  return new Date(value).toISOString();
+}
+
+function formatCell(key, value) {
+  if (value === null || value === undefined) return '-';
+  if (key.endsWith('Rate') || key === 'labelAccuracy') return `${Math.round(value * 100)}%`;
+  return String(value);
+}
+
+function printTable(rows) {
+  const cells = rows.map(row => COLUMNS.map(([key]) => formatCell(key, row[key])));
+  const widths = COLUMNS.map(([, title], column) =>
+    Math.max(title.length, ...cells.map(row => row[column].length))
+  );
+  const line = values => values.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(line(COLUMNS.map(([, title]) => title)));
+  console.log(line(widths.map(width => '-'.repeat(width))));
+  cells.forEach(row => console.log(line(row)));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const since = readOption(args, 'since');
+  const until = readOption(args, 'until');
+
+  const rows = summarizeFeedbackReport(await getFeedbackReport({ since, until }));
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  if (rows.length === 0) {
+    console.log('No feedback in this period.');
+    return;
+  }
+
+  console.log(`Feedback ${since ? `since ${since}` : 'since the start'}${until ? ` until ${until}` : ''}\n`);
+  printTable(rows);
+}
+
+main().catch(error => {
+  console.error('❌ Feedback report failed:', error.message);
+  process.exit(1);
+});
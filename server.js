@@ -1,12 +1,14 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 const multer = require('multer');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind Vercel's proxy, so req.ip is the client from X-Forwarded-For (rate limits key on it)
+app.set('trust proxy', 1);
+
 // Multer configuration for image uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -22,7 +24,28 @@ const upload = multer({
   }
 });
 
-app.use(cors());
+// Chat exports (WhatsApp .txt, Telegram .json, .csv) for /api/import
+const CHAT_EXPORT_EXTENSIONS = ['.txt', '.json', '.csv'];
+const CHAT_EXPORT_ERROR = 'Only .txt, .json and .csv chat exports are allowed';
+const exportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (CHAT_EXPORT_EXTENSIONS.some(extension => name.endsWith(extension))) {
+      cb(null, true);
+    } else {
+      cb(new Error(CHAT_EXPORT_ERROR), false);
+    }
+  }
+});
+
+app.use(cors({
+  // Let browser clients read the rate limit countdown
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
 app.use(express.json({ limit: '50mb' }));
 
 // Import handlers and middleware
@@ -32,7 +55,31 @@ const logoutHandler = require('./api/auth/logout');
 const checkUserHandler = require('./api/auth/check-user');
 const refreshTokenHandler = require('./api/auth/refresh');
 const { authenticateUser } = require('./middleware/auth');
-const { isUserSubscribed, incrementUsage, saveAnalysis, getUserSubscription, hasReachedUsageLimit, getUserUsage } = require('./lib/supabase');
+const { requireFeature } = require('./middleware/subscription');
+const { idempotent } = require('./middleware/idempotency');
+const { rateLimit } = require('./middleware/rate-limit');
+const { requireCronSecret } = require('./middleware/cron');
+const { waitUntil } = require('@vercel/functions');
+const { getTierFeatures } = require('./lib/entitlements');
+const { createCache } = require('./lib/cache');
+const { getBackendName } = require('./lib/store');
+const { createRateLimiter, setRateLimitHeaders, formatWait } = require('./lib/rate-limit');
+const { CREDIT_ROUTES, getRouteCost, issueExtractionCredit, takeExtractionCredit, returnExtractionCredit } = require('./lib/metering');
+const { saveAnalysis, saveSafetyFlag, getUserSubscription, getUserUsage, getUsageUnits, getUsageSummary, reserveUsage, commitUsage, refundUsage, createJob, getJobById, getAnalysisById, getReplyRefinements, saveReplyRefinement } = require('./lib/supabase');
+const { JOB_TYPES, parseCallbackUrl, findAbandonedJobs, formatJob, runJob } = require('./lib/jobs');
+const llm = require('./lib/llm');
+const { getPrompt } = require('./lib/prompts');
+const { generateAnalysis } = require('./lib/analyze');
+const { OCR_MODES, getOcrPrompt, extractFromImage } = require('./lib/ocr');
+const { parseCropOption, preprocessImage } = require('./lib/image');
+const { normalizeTranscript, receivedMessages, formatTranscript, stitchTranscripts } = require('./lib/transcript');
+const { DEFAULT_LANGUAGE, normalizeLanguage, parseAcceptLanguage, detectLanguage, languageDirection, textDirection } = require('./lib/language');
+const { parseMarkdownAnalysis, MIN_REPLY_VARIANTS, MAX_REPLY_VARIANTS } = require('./lib/analysis');
+const { listBehaviors } = require('./lib/behaviors');
+const { IMPORT_FORMATS, parseChatExport, listParticipants, toTranscript } = require('./lib/chat-import');
+const { classifySafety, buildSafetyResponse, formatSafetyMarkdown } = require('./lib/safety');
+const { MAX_REFINEMENTS, getFreeRefinements, parseRefinement, getRefinementAllowance, refineReply, formatRefinement } = require('./lib/refinement');
+const { PERSONAS, DEFAULT_PERSONA, getPersona, listPersonas, buildSystemPrompt, buildUserPrompt } = require('./lib/personas');
 
 // Import subscription handlers
 const getPlansHandler = require('./api/subscriptions/plans');
@@ -40,33 +87,22 @@ const createSubscriptionHandler = require('./api/subscriptions/create');
 const cancelSubscriptionHandler = require('./api/subscriptions/cancel');
 const paypalWebhookHandler = require('./api/webhooks/paypal');
 
-// In-memory cache for analysis results (simple implementation)
-const analysisCache = new Map();
+// Import history handlers
+const listHistoryHandler = require('./api/history/list');
+const searchHistoryHandler = require('./api/history/search');
+const getHistoryHandler = require('./api/history/get');
+const deleteHistoryHandler = require('./api/history/delete');
+const historyPdfHandler = require('./api/history/pdf');
+const historyFeedbackHandler = require('./api/history/feedback');
+const historyRefinementsHandler = require('./api/history/refinements');
+
+// Extraction results, shared across instances through lib/store (STORE_BACKEND)
 const CACHE_TTL = 3600000; // 1 hour
+const CACHE_MAX_ENTRIES = 500;
+const extractionCache = createCache('extraction-cache', { ttl: CACHE_TTL, maxEntries: CACHE_MAX_ENTRIES });
 
-// Rate limiting map (userId -> array of timestamps)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 3600000; // 1 hour
-const RATE_LIMIT_MAX = 20; // 20 requests per hour
-
-// Helper: Check rate limit
-function checkRateLimit(userId) {
-  const now = Date.now();
-  const userRequests = rateLimitMap.get(userId) || [];
-  
-  // Remove old requests outside the window
-  const recentRequests = userRequests.filter(timestamp => now - timestamp < RATE_LIMIT_WINDOW);
-  
-  if (recentRequests.length >= RATE_LIMIT_MAX) {
-    return false; // Rate limit exceeded
-  }
-  
-  // Add current request
-  recentRequests.push(now);
-  rateLimitMap.set(userId, recentRequests);
-  
-  return true; // Within rate limit
-}
+// Sliding-window rate limits for AI routes, per tier and route (lib/rate-limit.js)
+const rateLimiter = createRateLimiter('rate-limit');
 
 // Helper: Generate cache key from image buffer
 function generateCacheKey(buffer, userId) {
@@ -99,11 +135,11 @@ app.get('/api', (req, res) => {
 // AUTH ROUTES
 // ============================================
 
-app.post('/api/auth/signup', signupHandler);
-app.post('/api/auth/login', loginHandler);
-app.post('/api/auth/logout', logoutHandler);
-app.post('/api/auth/refresh', refreshTokenHandler);
-app.get('/api/auth/check-user', checkUserHandler);
+app.post('/api/auth/signup', rateLimit('auth'), signupHandler);
+app.post('/api/auth/login', rateLimit('auth'), loginHandler);
+app.post('/api/auth/logout', rateLimit('auth'), logoutHandler);
+app.post('/api/auth/refresh', rateLimit('auth'), refreshTokenHandler);
+app.get('/api/auth/check-user', rateLimit('auth'), checkUserHandler);
 
 // ============================================
 // SUBSCRIPTION MANAGEMENT ENDPOINTS
@@ -113,10 +149,10 @@ app.get('/api/auth/check-user', checkUserHandler);
 app.get('/api/subscriptions/plans', getPlansHandler);
 
 // Create subscription after PayPal payment
-app.post('/api/subscriptions/create', createSubscriptionHandler);
+app.post('/api/subscriptions/create', authenticateUser, rateLimit('account'), idempotent, createSubscriptionHandler);
 
 // Cancel subscription
-app.post('/api/subscriptions/cancel', cancelSubscriptionHandler);
+app.post('/api/subscriptions/cancel', authenticateUser, rateLimit('account'), idempotent, cancelSubscriptionHandler);
 
 // PayPal webhook for subscription events
 app.post('/api/webhooks/paypal', express.json({ verify: (req, res, buf) => { req.rawBody = buf.toString(); }}), paypalWebhookHandler);
@@ -125,7 +161,7 @@ app.post('/api/webhooks/paypal', express.json({ verify: (req, res, buf) => { req
 // SUBSCRIPTION STATUS ENDPOINT
 // ============================================
 
-app.get('/api/subscription/status', authenticateUser, async (req, res) => {
+app.get('/api/subscription/status', authenticateUser, rateLimit('account'), async (req, res) => {
   try {
     const subscription = await getUserSubscription(req.userId);
     const usage = await getUserUsage(req.userId);
@@ -158,7 +194,8 @@ app.get('/api/subscription/status', authenticateUser, async (req, res) => {
       subscription: hasSubscription ? {
         tier: subscription.tier,
         expiresAt: subscription.expires_at,
-        monthlyLimit: subscription.monthly_limit
+        monthlyLimit: subscription.monthly_limit,
+        features: getTierFeatures(subscription.tier)
       } : null,
       usage: {
         current: usage.analyses_count,
@@ -180,47 +217,277 @@ app.get('/api/subscription/status', authenticateUser, async (req, res) => {
   }
 });
 
+// ============================================
+// ANALYSIS HISTORY ENDPOINTS (Pro & Premium)
+// ============================================
+
+app.get('/api/history', authenticateUser, rateLimit('account'), requireFeature('history'), listHistoryHandler);
+app.get('/api/history/search', authenticateUser, rateLimit('account'), requireFeature('history'), searchHistoryHandler);
+app.get('/api/history/:id', authenticateUser, rateLimit('account'), requireFeature('history'), getHistoryHandler);
+app.get('/api/history/:id/pdf', authenticateUser, rateLimit('account'), requireFeature('pdf_export'), historyPdfHandler);
+
+// Deleting is open to every plan: analyses are saved whatever the plan, and a
+// downgraded user can still remove them
+app.delete('/api/history/:id', authenticateUser, rateLimit('account'), deleteHistoryHandler);
+
+// Feedback is open to every plan: every analysis response includes its analysisId
+app.post('/api/history/:id/feedback', authenticateUser, rateLimit('account'), historyFeedbackHandler);
+
+// So are reply refinement threads (POST /api/history/:id/refinements is below)
+app.get('/api/history/:id/refinements', authenticateUser, rateLimit('account'), historyRefinementsHandler);
+
 // ============================================
 // OCR ENDPOINT - Image Upload & Text Extraction
 // ============================================
 
-app.post('/api/ocr', authenticateUser, upload.single('image'), async (req, res) => {
-  try {
-    console.log('=== OCR REQUEST START ===');
-    console.log('User ID:', req.userId);
+// Screenshots accepted per batch request
+const MAX_BATCH_IMAGES = 10;
 
-    // Rate limiting check
-    if (!checkRateLimit(req.userId)) {
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded',
-        message: 'You are making too many requests. Please wait a few minutes and try again.'
-      });
-    }
+// Screenshots of a batch preprocessed and extracted at the same time
+const BATCH_CONCURRENCY = 2;
 
-    // Check if user has active subscription
-    const hasSubscription = await isUserSubscribed(req.userId);
-    if (!hasSubscription) {
-      return res.status(403).json({
-        error: 'Subscription required',
-        message: 'Please subscribe to use this feature'
-      });
-    }
+// Middleware: rate limit, active subscription and monthly usage checks for AI routes.
+// The route's cost (lib/metering.js) is reserved in the usage ledger up front.
+// Handlers call commitRequestUsage(req) once the work succeeded; a reservation still
+// open when the response ends (errors, cache hits, safety flags) is refunded.
+// isFree(req) waives the cost of a request that is included for free.
+function requireAnalysisAccess(route, { isFree = null } = {}) {
+  const cost = getRouteCost(route);
 
-    // Check if user has reached usage limit
-    const limitReached = await hasReachedUsageLimit(req.userId);
-    if (limitReached) {
+  return async function (req, res, next) {
+    try {
+      // Check if user has active subscription
       const subscription = await getUserSubscription(req.userId);
-      const usage = await getUserUsage(req.userId);
+      if (!subscription || new Date(subscription.expires_at) <= new Date()) {
+        return res.status(403).json({
+          error: 'Subscription required',
+          message: 'Please subscribe to use this feature'
+        });
+      }
 
-      return res.status(403).json({
-        error: 'Usage limit reached',
-        message: `You've used ${usage.analyses_count} of your ${subscription.monthly_limit} monthly analyses. Please upgrade your plan for more.`,
-        usage: {
-          current: usage.analyses_count,
-          limit: subscription.monthly_limit
+      // Rate limiting check (limits depend on the tier)
+      const rateLimit = await rateLimiter.hit(req.userId, { tier: subscription.tier, route });
+      const retryAfter = setRateLimitHeaders(res, rateLimit);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({ 
+          error: 'Rate limit exceeded',
+          message: `You are making too many requests. Please try again in ${formatWait(retryAfter)}.`,
+          retryAfter
+        });
+      }
+
+      // Analyzing the messages we just extracted (and charged for) is free
+      const analyzed = CREDIT_ROUTES.includes(route) ? analyzedMessages(req.body || {}) : null;
+      const credit = analyzed
+        ? await takeExtractionCredit(req.userId, analyzed).catch(err => {
+          console.error('Extraction credit error:', err);
+          return null;
+        })
+        : null;
+      const units = credit || (isFree && isFree(req)) ? 0 : cost;
+
+      let reservationId = null;
+      if (units > 0) {
+        reservationId = await reserveUsage(req.userId, { units, limit: subscription.monthly_limit, route });
+
+        if (!reservationId) {
+          // Count what the limit was checked against: committed units and ones still in progress
+          const [used, usage] = await Promise.all([getUsageUnits(req.userId), getUserUsage(req.userId)]);
+          const inProgress = Math.max(used - usage.analyses_count, 0);
+
+          return res.status(403).json({
+            error: 'Usage limit reached',
+            message: `You've used ${used} of your ${subscription.monthly_limit} monthly analyses${inProgress > 0 ? ` (${inProgress} still in progress)` : ''}. Please upgrade your plan for more.`,
+            usage: {
+              current: used,
+              inProgress,
+              limit: subscription.monthly_limit
+            }
+          });
         }
+      }
+
+      req.metering = { route, units, reservationId, credit, settled: false };
+      res.on('close', () => {
+        if (!req.metering.settled) refundRequestUsage(req);
+      });
+
+      next();
+    } catch (error) {
+      console.error('❌ Access check error:', error);
+      res.status(500).json({ 
+        error: 'Processing failed',
+        message: 'An error occurred while processing your request. Please try again.'
       });
     }
+  };
+}
+
+// Helper: Commit the request's reserved units. Failures are logged, never thrown,
+// so callers needn't wait unless they report usage.
+async function commitRequestUsage(req) {
+  const metering = req.metering;
+  if (metering.settled) return;
+  metering.settled = true;
+
+  if (!metering.reservationId) return;
+  await commitUsage(metering.reservationId).catch(err =>
+    console.error('Usage commit error:', err)
+  );
+}
+
+// Helper: Give back the request's reserved units (and any extraction credit it used)
+async function refundRequestUsage(req) {
+  const metering = req.metering;
+  if (metering.settled) return;
+  metering.settled = true;
+
+  if (metering.credit) {
+    await returnExtractionCredit(metering.credit).catch(err =>
+      console.error('Extraction credit return error:', err)
+    );
+  }
+
+  if (!metering.reservationId) return;
+  await refundUsage(metering.reservationId).catch(err =>
+    console.error('Usage refund error:', err)
+  );
+}
+
+// Helper: Orient, strip metadata, crop and downscale an upload before paying for vision tokens.
+// Resolves with { image } or { error } for images we can't read.
+async function preprocessUpload(file, { crop = [] } = {}) {
+  try {
+    const image = await preprocessImage(file.buffer, { crop });
+    console.log(`🖼️ Preprocessed image: ${image.originalBytes} → ${image.bytes} bytes (${image.width}x${image.height})`);
+    return { image };
+  } catch (imageError) {
+    if (imageError.code !== 'UNSUPPORTED_IMAGE') throw imageError;
+
+    console.error('❌ Image preprocessing failed:', imageError.message);
+    return {
+      error: {
+        status: 415,
+        error: 'Unsupported image',
+        message: 'Could not read this image. Please upload a PNG, JPEG, WebP or HEIC screenshot.'
+      }
+    };
+  }
+}
+
+// Helper: Extract one uploaded image, using the cache when possible.
+// Files marked preprocessed (job inputs) are sent as they are.
+// Resolves with { text, transcript?, language, cached } or { error }.
+async function extractUploadedImage(file, userId, { mode, prompt, crop = [] }) {
+  // Check cache (prompt version and crop are part of the key - both change what the model sees)
+  const cacheKey = `${generateCacheKey(file.buffer, userId)}_${prompt.key}_${crop.join('+')}`;
+  const cachedResult = await extractionCache.get(cacheKey);
+
+  if (cachedResult) {
+    console.log('✅ Returning cached result');
+    return { text: cachedResult.text, transcript: cachedResult.transcript, language: cachedResult.language, cached: true };
+  }
+
+  let image = file.preprocessed ? { data: file.buffer, mimeType: file.mimetype } : null;
+  if (!image) {
+    const preprocessed = await preprocessUpload(file, { crop });
+    if (preprocessed.error) return preprocessed;
+    image = preprocessed.image;
+  }
+
+  const extraction = await extractFromImage(
+    {
+      // Convert image to base64 for the vision model
+      data: image.data.toString('base64'),
+      mimeType: image.mimeType
+    },
+    { mode, prompt }
+  );
+
+  if (extraction.error) return extraction;
+
+  // Cache the result
+  await extractionCache.set(cacheKey, {
+    text: extraction.text,
+    transcript: extraction.transcript,
+    language: extraction.language
+  });
+
+  return { ...extraction, cached: false };
+}
+
+// Helper: Text direction clients should render a conversation with
+function conversationDirection(language, text) {
+  return language ? languageDirection(language) : textDirection(text);
+}
+
+// Helper: Map over items with at most `limit` calls in flight, keeping the order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+// Helper: Extract the messages from one screenshot (shared by /api/ocr and OCR jobs).
+// Resolves with { status, body, charge } - charge is false for cached results,
+// which were already counted (and already earned their credit).
+async function runOcr(file, userId, { mode, crop }) {
+  const ocrPrompt = getOcrPrompt(mode, userId);
+  console.log(`📤 Sending to vision model (${mode})...`);
+
+  const extraction = await extractUploadedImage(file, userId, { mode, prompt: ocrPrompt, crop });
+
+  if (extraction.error) {
+    const { status, ...body } = extraction.error;
+    return { status, body, charge: false };
+  }
+
+  const extractedText = extraction.text;
+  console.log('✅ Extracted messages:', extractedText.substring(0, 100) + '...');
+
+  // Analyzing these messages next is free (transcript mode's text is the other person's messages)
+  if (!extraction.cached) {
+    await issueExtractionCredit(userId, [extractedText]).catch(err =>
+      console.error('Extraction credit error:', err)
+    );
+  }
+
+  // Return extracted text (plus the full transcript in transcript mode)
+  return {
+    status: 200,
+    body: {
+      ParsedResults: [{
+        ParsedText: extractedText
+      }],
+      ...(extraction.transcript && { transcript: extraction.transcript }),
+      language: extraction.language,
+      direction: conversationDirection(extraction.language, extractedText),
+      promptVersion: ocrPrompt.key,
+      ...(extraction.cached && { cached: true })
+    },
+    charge: !extraction.cached
+  };
+}
+
+app.post('/api/ocr', authenticateUser, upload.single('image'), idempotent, requireAnalysisAccess('/api/ocr'), async (req, res) => {
+  try {
+    console.log('=== OCR REQUEST START ===');
+    console.log('User ID:', req.userId);
 
     if (!req.file) {
       return res.status(400).json({ 
@@ -229,203 +496,239 @@ app.post('/api/ocr', authenticateUser, upload.single('image'), async (req, res)
       });
     }
 
-    // Check cache
-    const imageBuffer = req.file.buffer;
-    const cacheKey = generateCacheKey(imageBuffer, req.userId);
-    const cachedResult = analysisCache.get(cacheKey);
-    
-    if (cachedResult && (Date.now() - cachedResult.timestamp < CACHE_TTL)) {
-      console.log('✅ Returning cached result');
-      return res.json({
-        ParsedResults: [{
-          ParsedText: cachedResult.text
-        }],
-        cached: true
+    const mode = req.body.mode || req.query.mode || 'received';
+    if (!OCR_MODES[mode]) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: `Mode must be one of: ${Object.keys(OCR_MODES).join(', ')}`
       });
     }
 
-    // Convert image to base64 for OpenAI Vision
-    const base64Image = imageBuffer.toString('base64');
-    const mimeType = req.file.mimetype || 'image/jpeg';
+    const { crop, error: cropError } = parseCropOption(req.body.crop || req.query.crop);
+    if (cropError) {
+      return res.status(400).json({
+        error: 'Invalid crop',
+        message: cropError
+      });
+    }
 
-    console.log('📤 Sending to OpenAI Vision API...');
+    const { status, body, charge } = await runOcr(req.file, req.userId, { mode, crop });
+    if (charge) commitRequestUsage(req);
 
-    // Use OpenAI Vision API to extract LEFT-SIDE messages only
-    const visionResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: `You are analyzing a screenshot from ANY messaging app (iMessage, WhatsApp, Instagram, Snapchat, Facebook, etc.).
-
-YOUR TASK: Extract ONLY the messages that the phone owner RECEIVED (not the ones they sent).
-
-UNIVERSAL IDENTIFICATION RULES:
-
-1. **VISUAL POSITION**:
-   - Messages on the LEFT side = RECEIVED (extract these) ✅
-   - Messages on the RIGHT side = SENT by user (ignore these) ❌
-
-2. **BUBBLE ALIGNMENT**:
-   - Left-aligned bubbles = RECEIVED ✅
-   - Right-aligned bubbles = SENT ❌
-
-3. **COLOR PATTERNS** (varies by app):
-   - iMessage: Gray = received, Blue = sent
-   - WhatsApp: White/Light gray = received, Green = sent
-   - Instagram: Purple/Gray = received, Purple gradient = sent
-   - Facebook: Gray = received, Blue = sent
-   - Snapchat: Red = received, Blue = sent
-   - Generic rule: Lighter/neutral colors = usually received
-
-4. **MESSAGE CONTENT CLUES**:
-   - Questions/requests directed AT someone = RECEIVED ✅
-   - Responses/answers = SENT ❌
-
-CRITICAL INSTRUCTIONS:
-- Focus on POSITION (left vs right) as the PRIMARY indicator
-- Use color as a SECONDARY indicator
-- Only extract complete messages
-- Ignore timestamps, "Delivered", "Read", names, status indicators
-- If this is NOT a conversation screenshot, return: "ERROR: This image does not contain text messages"
-
-OUTPUT FORMAT:
-RECEIVED_MESSAGES_START
-[Message 1 that user received]
-[Message 2 that user received]
-RECEIVED_MESSAGES_END
-
-If you cannot identify text messages, return:
-ERROR: This image does not contain text messages`
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:${mimeType};base64,${base64Image}`
-                }
-              }
-            ]
-          }
-        ],
-        max_tokens: 1500,
-        temperature: 0.1
-      })
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('❌ OCR error:', error);
+    res.status(500).json({ 
+      error: 'Processing failed',
+      message: 'An error occurred while processing your image. Please try again.'
     });
+  }
+});
 
-    if (!visionResponse.ok) {
-      const errorData = await visionResponse.json();
-      console.error('OpenAI API error:', errorData);
-      return res.status(500).json({ 
-        error: 'Vision API failed',
-        message: 'Failed to process image. Please try again.'
-      });
-    }
+// ============================================
+// BATCH OCR ENDPOINT - Multi-Screenshot Stitching
+// ============================================
+// Upload screenshots in conversation order as "images". Each one is extracted in
+// transcript mode and the results are stitched into a single transcript, with
+// messages repeated across overlapping screenshots kept once.
+
+// Helper: Extract and stitch a batch of screenshots (shared by /api/ocr/batch and batch jobs).
+// Resolves with { status, body, charge }.
+async function runOcrBatch(files, userId, { crop }) {
+  const ocrPrompt = getOcrPrompt('transcript', userId);
+
+  const extractions = await mapWithConcurrency(files, BATCH_CONCURRENCY, file =>
+    extractUploadedImage(file, userId, { mode: 'transcript', prompt: ocrPrompt, crop })
+  );
+
+  const failedIndex = extractions.findIndex(extraction => extraction.error);
+  if (failedIndex !== -1) {
+    const { status, message, ...body } = extractions[failedIndex].error;
+    return {
+      status,
+      body: {
+        ...body,
+        message: `Screenshot ${failedIndex + 1}: ${message}`,
+        imageIndex: failedIndex
+      },
+      charge: false
+    };
+  }
+
+  const { transcript, duplicatesRemoved } = stitchTranscripts(
+    extractions.map(extraction => extraction.transcript)
+  );
+  // Screenshots of one chat share a language - go with the most common answer
+  const language = mostCommon(extractions.map(extraction => extraction.language).filter(Boolean));
+
+  console.log(`✅ Stitched ${files.length} screenshots: ${transcript.length} messages (${duplicatesRemoved} duplicates removed)`);
+
+  // The whole batch is one analysis, unless every screenshot was already counted
+  const charge = extractions.some(extraction => !extraction.cached);
+  if (charge) {
+    await issueExtractionCredit(userId, receivedMessages(transcript)).catch(err =>
+      console.error('Extraction credit error:', err)
+    );
+  }
 
-    const visionData = await visionResponse.json();
+  return {
+    status: 200,
+    body: {
+      ParsedResults: [{
+        ParsedText: receivedMessages(transcript).join('\n')
+      }],
+      transcript,
+      language,
+      direction: conversationDirection(language, transcript.map(message => message.text).join('\n')),
+      images: files.length,
+      duplicatesRemoved,
+      promptVersion: ocrPrompt.key
+    },
+    charge
+  };
+}
+
+app.post('/api/ocr/batch', authenticateUser, upload.array('images', MAX_BATCH_IMAGES), idempotent, requireAnalysisAccess('/api/ocr/batch'), async (req, res) => {
+  try {
+    console.log('=== BATCH OCR REQUEST START ===');
+    console.log('User ID:', req.userId, 'Images:', req.files?.length || 0);
 
-    if (!visionData.choices?.[0]?.message?.content) {
-      return res.status(500).json({ 
-        error: 'No response from Vision API',
-        message: 'Failed to extract text from image. Please try again.'
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No images provided',
+        message: 'Please upload one or more screenshots'
       });
     }
 
-    const responseContent = visionData.choices[0].message.content.trim();
-    console.log('=== VISION API RESPONSE ===');
-    console.log('Length:', responseContent.length);
-    console.log('Content:', responseContent);
-    console.log('===========================');
-
-    // Check if image doesn't contain messages
-    if (responseContent.includes('ERROR:') || 
-        responseContent.toLowerCase().includes('does not contain text messages') ||
-        responseContent.toLowerCase().includes('not a conversation')) {
-      return res.status(400).json({ 
-        error: 'Invalid image',
-        message: 'This image does not appear to contain text messages. Please upload a screenshot of a conversation.'
+    const { crop, error: cropError } = parseCropOption(req.body.crop || req.query.crop);
+    if (cropError) {
+      return res.status(400).json({
+        error: 'Invalid crop',
+        message: cropError
       });
     }
 
-    // Extract only RECEIVED messages
-    const startMarker = 'RECEIVED_MESSAGES_START';
-    const endMarker = 'RECEIVED_MESSAGES_END';
+    const { status, body, charge } = await runOcrBatch(req.files, req.userId, { crop });
+    if (charge) commitRequestUsage(req);
 
-    const startIndex = responseContent.indexOf(startMarker);
-    const endIndex = responseContent.indexOf(endMarker);
+    res.status(status).json(body);
 
-    let extractedText;
+  } catch (error) {
+    console.error('❌ Batch OCR error:', error);
+    res.status(500).json({
+      error: 'Processing failed',
+      message: 'An error occurred while processing your images. Please try again.'
+    });
+  }
+});
 
-    if (startIndex !== -1 && endIndex !== -1) {
-      const messagesSection = responseContent.substring(
-        startIndex + startMarker.length,
-        endIndex
-      ).trim();
+// ============================================
+// CHAT EXPORT IMPORT ENDPOINT
+// ============================================
+// Upload a WhatsApp/Telegram/CSV export as "file" (or its text as "content").
+// Without "them" the response lists the participants to choose from; with it,
+// the chat is turned into a transcript and analyzed like /api/analyze (structured
+// output, same tone, variants and userLanguage options). Send analyze=false to
+// get the transcript alone, without using an analysis.
+
+// Helper: Whether an import request will be analyzed (multipart fields are strings)
+function wantsImportAnalysis(body) {
+  return Boolean(body.them) && body.analyze !== false && body.analyze !== 'false';
+}
 
-      extractedText = messagesSection;
-      console.log('✅ Found marked section:', extractedText.substring(0, 100) + '...');
-    } else {
-      // Fallback - use entire response
-      console.log('⚠️ No markers found, using entire response');
-      extractedText = responseContent;
-    }
-
-    // Robust validation - check if we got actual text content
-    const hasContent = extractedText && extractedText.trim().length > 0;
-    const isErrorMessage = extractedText && (
-      extractedText.toLowerCase().includes('no text messages') ||
-      extractedText.toLowerCase().includes('cannot identify') ||
-      extractedText.toLowerCase().includes('unable to') ||
-      extractedText.toLowerCase().startsWith('error')
-    );
+// Middleware: Reading an export is free and only has the account rate limit; the
+// access checks and the analysis unit apply when it will be analyzed
+const importAnalysisAccess = requireAnalysisAccess('/api/import');
+const importRateLimit = rateLimit('account');
+function requireImportAccess(req, res, next) {
+  if (!wantsImportAnalysis(req.body)) return importRateLimit(req, res, next);
+  importAnalysisAccess(req, res, next);
+}
 
-    if (!hasContent || isErrorMessage) {
-      console.log('❌ Validation failed:', { hasContent, isErrorMessage, extractedText: extractedText?.substring(0, 50) });
-      return res.status(400).json({
-        error: 'No messages found',
-        message: 'Could not find any text messages in this image. Please upload a clear screenshot of a conversation.'
-      });
+// Helper: Parse an uploaded or pasted export into a transcript of the chosen participant.
+// Returns { chat } or { error } with a status and response body.
+function readChatImport(req) {
+  // Uploaded as a file, or pasted as text
+  const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+  const { format, them, me } = req.body;
+
+  if (typeof content !== 'string' || !content.trim()) {
+    return { error: { status: 400, error: 'No export provided', message: 'Upload a chat export as "file" or send its text as "content"' } };
+  }
+
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return { error: { status: 400, error: 'Invalid format', message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}` } };
+  }
+
+  const parsed = parseChatExport(content, { format, filename: req.file?.originalname });
+  if (parsed.error) {
+    return { error: { status: 400, error: 'Invalid export', message: parsed.error } };
+  }
+
+  const participants = listParticipants(parsed.messages);
+
+  // The client shows the participants and asks again with the one to analyze
+  if (!them) {
+    return { error: { status: 400, error: 'Participant required', message: 'Choose which participant is "them"', format: parsed.format, participants } };
+  }
+
+  const result = toTranscript(parsed.messages, { them, me });
+  if (result.error) {
+    return { error: { status: 400, error: 'Invalid participant', message: result.error, format: parsed.format, participants } };
+  }
+
+  const texts = result.transcript.map(message => message.text);
+  const language = detectLanguage(texts);
+
+  return {
+    chat: {
+      format: parsed.format,
+      participants,
+      them: result.them,
+      me: result.me,
+      transcript: result.transcript,
+      language,
+      direction: conversationDirection(language, texts.join('\n')),
+      totalMessages: result.totalMessages,
+      truncated: result.truncated
     }
+  };
+}
 
-    console.log('✅ Extracted messages:', extractedText.substring(0, 100) + '...');
+app.post('/api/import', authenticateUser, exportUpload.single('file'), idempotent, requireImportAccess, async (req, res) => {
+  try {
+    const { chat, error } = readChatImport(req);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
 
-    // Cache the result
-    analysisCache.set(cacheKey, {
-      text: extractedText,
-      timestamp: Date.now()
-    });
+    console.log(`✅ Imported ${chat.format} export: ${chat.transcript.length} of ${chat.totalMessages} messages`);
 
-    // Clean up old cache entries (keep cache size manageable)
-    if (analysisCache.size > 100) {
-      const oldestKey = analysisCache.keys().next().value;
-      analysisCache.delete(oldestKey);
+    if (!wantsImportAnalysis(req.body)) {
+      return res.json({ success: true, ...chat });
     }
 
-    // Increment usage counter (async, don't wait)
-    incrementUsage(req.userId).catch(err => 
-      console.error('Usage increment error:', err)
+    const { tone, variants, userLanguage } = req.body;
+    const request = readAnalyzeRequest(
+      { transcript: chat.transcript, language: chat.language, tone, variants, userLanguage, format: 'json' },
+      { acceptLanguage: req.get('accept-language') }
     );
+    if (request.error) {
+      return res.status(400).json(request.error);
+    }
 
-    // Return extracted text
-    res.json({
-      ParsedResults: [{
-        ParsedText: extractedText
-      }]
-    });
+    const { status, body, charge } = await runAnalysis(request, req.userId);
+    if (charge) commitRequestUsage(req);
+
+    res.status(status).json(status === 200 ? { ...chat, ...body } : body);
 
   } catch (error) {
-    console.error('❌ OCR error:', error);
-    res.status(500).json({ 
-      error: 'Processing failed',
-      message: 'An error occurred while processing your image. Please try again.'
+    console.error('Chat import error:', error);
+    res.status(500).json({
+      error: 'Import failed',
+      message: 'An error occurred while reading this export. Please try again.'
     });
   }
 });
@@ -434,7 +737,7 @@ ERROR: This image does not contain text messages`
 // MESSAGE EXTRACTION ENDPOINT (LEGACY - KEPT FOR COMPATIBILITY)
 // ============================================
 
-app.post('/api/extract', async (req, res) => {
+app.post('/api/extract', authenticateUser, requireAnalysisAccess('/api/extract'), async (req, res) => {
   try {
     const { rawText } = req.body;
 
@@ -447,6 +750,8 @@ app.post('/api/extract', async (req, res) => {
 
     // Simple extraction - just pass through
     // Vision API already did the extraction
+    commitRequestUsage(req);
+
     res.json({
       choices: [{
         message: {
@@ -468,142 +773,632 @@ app.post('/api/extract', async (req, res) => {
 // ANALYSIS ENDPOINT - Psychological Analysis
 // ============================================
 
-app.post('/api/analyze', async (req, res) => {
+// Available reply tones for /api/analyze
+app.get('/api/personas', (req, res) => {
+  res.json({
+    success: true,
+    personas: listPersonas()
+  });
+});
+
+// Behavior taxonomy used by structured analyses
+app.get('/api/behaviors', (req, res) => {
+  res.json({
+    success: true,
+    behaviors: listBehaviors()
+  });
+});
+
+// Helper: Stream an analysis completion, calling onToken for each chunk.
+// Resolves with the full text, or null on provider failure.
+async function streamAnalysisCompletion(chatMessages, options, onToken) {
   try {
-    const { messages } = req.body;
+    const result = await llm.stream('analyze', { messages: chatMessages, ...options }, onToken);
+    return result.content;
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    console.error('Analysis streaming error:', error);
+    return null;
+  }
+}
 
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ 
-        error: 'Invalid input',
-        message: 'Please provide messages to analyze'
-      });
+// Helper: The other person's messages in a raw analyze body, or null when they
+// can't be read (used to find an extraction credit before the body is validated)
+function analyzedMessages(body) {
+  if (body.transcript !== undefined) {
+    const { transcript } = normalizeTranscript(body.transcript);
+    return transcript ? receivedMessages(transcript) : null;
+  }
+
+  return Array.isArray(body.messages) ? body.messages : null;
+}
+
+// Helper: Validate an analyze request body and resolve the prompt options.
+// Returns { error } with a 400 body when the request is invalid.
+function readAnalyzeRequest(body, { allowStructured = true, acceptLanguage } = {}) {
+  const { format = 'markdown', tone, variants } = body;
+  let { messages } = body;
+  let transcript = null;
+
+  // A two-sided transcript (from /api/ocr transcript mode) replaces the flat message list
+  if (body.transcript !== undefined) {
+    const normalized = normalizeTranscript(body.transcript);
+    if (!normalized.transcript) {
+      return { error: { error: 'Invalid transcript', message: normalized.errors.join('; ') } };
     }
 
+    transcript = normalized.transcript;
+    messages = receivedMessages(transcript);
+
     if (messages.length === 0) {
-      return res.status(400).json({ 
-        error: 'No messages',
-        message: 'No messages found to analyze'
-      });
+      return { error: { error: 'No messages', message: 'The transcript has no messages from the other person to analyze' } };
     }
+  }
+
+  if (!messages || !Array.isArray(messages)) {
+    return { error: { error: 'Invalid input', message: 'Please provide messages to analyze' } };
+  }
+
+  if (messages.length === 0) {
+    return { error: { error: 'No messages', message: 'No messages found to analyze' } };
+  }
+
+  if (!['markdown', 'json'].includes(format)) {
+    return { error: { error: 'Invalid format', message: 'Format must be one of: markdown, json' } };
+  }
+
+  const persona = getPersona(tone);
+  if (!persona) {
+    return { error: { error: 'Invalid tone', message: `Tone must be one of: ${Object.keys(PERSONAS).join(', ')}` } };
+  }
+
+  const variantCount = variants === undefined ? 0 : Number(variants);
+  if (variantCount && (!Number.isInteger(variantCount) || variantCount < MIN_REPLY_VARIANTS || variantCount > MAX_REPLY_VARIANTS)) {
+    return { error: { error: 'Invalid variants', message: `Variants must be a whole number from ${MIN_REPLY_VARIANTS} to ${MAX_REPLY_VARIANTS}` } };
+  }
+
+  if (!allowStructured && (format === 'json' || variantCount)) {
+    return { error: { error: 'Unsupported option', message: 'Streaming returns the structured result in its final event; json format and variants are not supported' } };
+  }
+
+  // language is the conversation's (from /api/ocr, or detected here); the reply is
+  // written in it. userLanguage is who reads the explanation (defaults to Accept-Language).
+  const language = body.language ? normalizeLanguage(body.language) : detectLanguage(transcript ? transcript.map(message => message.text) : messages);
+  const userLanguage = body.userLanguage ? normalizeLanguage(body.userLanguage) : parseAcceptLanguage(acceptLanguage) || DEFAULT_LANGUAGE;
+
+  if ((body.language && !language) || (body.userLanguage && !userLanguage)) {
+    return { error: { error: 'Invalid language', message: 'language and userLanguage must be language tags like "es" or "pt-BR"' } };
+  }
+
+  return {
+    messages,
+    transcript,
+    persona,
+    tone: tone || DEFAULT_PERSONA,
+    variantCount,
+    language,
+    userLanguage,
+    // Reply variants are only available as structured output
+    jsonMode: format === 'json' || variantCount > 0
+  };
+}
+
+// Helper: Save an analysis to the user's history (failures shouldn't block the result)
+async function saveAnalysisToHistory(userId, { messages, transcript }, analysis, { tone, promptVersion, language }) {
+  if (!userId) return null;
+
+  try {
+    const saved = await saveAnalysis(userId, {
+      extractedText: transcript ? formatTranscript(transcript) : messages.join('\n'),
+      transcript,
+      hiddenIntent: analysis.hiddenIntent,
+      behaviorType: analysis.behaviorType,
+      behaviors: analysis.behaviors,
+      strategicResponse: analysis.strategicReply,
+      tone,
+      replyVariants: analysis.variants,
+      promptVersion,
+      language
+    });
+    return saved.id;
+  } catch (saveError) {
+    console.error('History save error:', saveError);
+    return null;
+  }
+}
+
+// Helper: Screen a conversation before any reply is generated.
+// Resolves with the safety block to send instead of an analysis, or null when it's safe to continue.
+async function screenForSafety(userId, conversation, { route, signal } = {}) {
+  const safety = await classifySafety(conversation, { userId, signal });
+  if (!safety.flagged) return null;
+
+  console.warn(`🚩 Safety flag on ${route}: ${safety.severity} (${safety.categories.map(category => category.id).join(', ')}, ${safety.source})`);
+  saveSafetyFlag(userId || null, { route, ...safety }).catch(err =>
+    console.error('Safety flag log error:', err)
+  );
 
-    console.log('🧠 Analyzing', messages.length, 'messages...');
+  return buildSafetyResponse(safety);
+}
+
+// Helper: Analyze a validated request (shared by /api/analyze and analysis jobs).
+// Resolves with { status, body, charge } - safety flags and failures aren't charged.
+async function runAnalysis(request, userId) {
+  const { messages, transcript, persona, tone, variantCount, jsonMode, language, userLanguage } = request;
+
+  // Threats, stalking, coercive control and self-harm get support resources, not a comeback
+  const safety = await screenForSafety(userId, { messages, transcript }, { route: '/api/analyze' });
+  if (safety) {
+    if (jsonMode) {
+      return { status: 200, body: { success: true, analysis: null, safety, tone }, charge: false };
+    }
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+    return {
+      status: 200,
+      body: {
+        choices: [{ index: 0, message: { role: 'assistant', content: formatSafetyMarkdown(safety) } }],
+        usage: null,
+        tone,
+        safety
       },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: `You're a savage text analyst who exposes manipulators with BRUTAL honesty. Your job is to see through their BS and give the user a reply that puts the manipulator in their place.
-
-YOUR PERSONALITY:
-- Zero tolerance for manipulation
-- Witty, sharp, slightly petty
-- You say what everyone's thinking but won't say
-- You're the friend who tells it like it is
-
-HIDDEN INTENT ANALYSIS:
-- Be direct and blunt
-- Use simple language, no psychology jargon
-- Call out EXACTLY what they're doing
-- Example: "They're testing how fast you'll reply to feel important"
-- Example: "This is a guilt trip disguised as being understanding"
-
-BEHAVIOR TYPE:
-Give ONE short label like:
-- GUILT TRIPPING
-- LOVE BOMBING
-- ATTENTION SEEKING
-- GASLIGHTING
-- PLAYING VICTIM
-- BREADCRUMBING
-- PASSIVE AGGRESSIVE
-- EMOTIONAL MANIPULATION
-
-STRATEGIC REPLY - THIS IS THE MOST IMPORTANT PART:
-Generate a SAVAGE reply that:
-1. Calls out their manipulation directly
-2. Is slightly insulting but clever (not overtly rude)
-3. Shows you see right through their game
-4. Makes THEM uncomfortable, not you
-5. Is short and punchy (1-2 sentences max)
-6. Can include subtle shade, sarcasm, or wit
-7. Shows you're unbothered and in control
-
-REPLY EXAMPLES (match this energy):
-✅ "Ah the classic 'just checking in' when you want something. What is it this time?"
-✅ "Weird how you only miss me when you're bored. Crazy coincidence right?"
-✅ "The fake concern is cute but we both know what this is really about lol"
-✅ "You're not slick. Say what you actually want or don't text me."
-✅ "This passive aggressive energy is embarrassing for you honestly"
-✅ "I love how you think I can't see through this 😂 just ask directly next time"
-✅ "The manipulation is giving desperate. What do you need?"
-✅ "Interesting how the 'I understand if you're busy' always comes with guilt attached"
-
-BAD REPLIES (don't do this):
-❌ "I appreciate you reaching out but I sense some underlying intentions"
-❌ "Thank you for sharing, I'd like to understand better what you mean"
-❌ "I feel like there might be more to this conversation"
-
-FORMAT (exactly like this):
-
-**Hidden Intent:**
-[1-2 sentences exposing what they're REALLY doing]
-
-**Behavior Type:**
-[ONE LABEL IN CAPS]
-
-**Strategic Reply:**
-[Your savage, witty, slightly shady response that puts them in their place]
-
-Output ONLY these three sections. Nothing else.`
-          },
-          {
-            role: 'user',
-            content: `Expose this manipulative text and give me a savage reply to put them in their place:
-
-${messages.map((msg, i) => `"${msg}"`).join('\n')}
-
-Make the reply short, witty, and slightly shady. I want them to know I see through their BS.`
-          }
-        ],
-        temperature: 0.8,
-        max_tokens: 250
-      }),
+      charge: false
+    };
+  }
+
+  const prompt = getPrompt('analysis', userId);
+  console.log('🧠 Analyzing', transcript ? transcript.length : messages.length, `${transcript ? 'transcript ' : ''}messages (${jsonMode ? 'json' : 'markdown'}, ${tone}, ${prompt.key}${variantCount ? `, ${variantCount} variants` : ''})...`);
+
+  const generated = await generateAnalysis(request, prompt);
+  if (generated.error) {
+    const { status, ...body } = generated.error;
+    return { status, body, charge: false };
+  }
+
+  console.log('✅ Analysis complete');
+  const { analysis, content, usage } = generated;
+
+  const analysisId = await saveAnalysisToHistory(userId, { messages, transcript }, analysis, { tone, promptVersion: prompt.key, language });
+  const languages = { language, userLanguage, direction: conversationDirection(language, messages.join('\n')) };
+
+  if (jsonMode) {
+    return { status: 200, body: { success: true, analysis, tone, ...languages, promptVersion: prompt.key, analysisId }, charge: true };
+  }
+
+  // Markdown mode keeps the chat completion shape older clients parse, plus the parsed fields
+  return {
+    status: 200,
+    body: {
+      choices: [{ index: 0, message: { role: 'assistant', content } }],
+      usage,
+      analysis,
+      tone,
+      ...languages,
+      promptVersion: prompt.key,
+      analysisId
+    },
+    charge: true
+  };
+}
+
+app.post('/api/analyze', authenticateUser, idempotent, requireAnalysisAccess('/api/analyze'), async (req, res) => {
+  try {
+    const request = readAnalyzeRequest(req.body, { acceptLanguage: req.get('accept-language') });
+    if (request.error) {
+      return res.status(400).json(request.error);
+    }
+
+    const { status, body, charge } = await runAnalysis(request, req.userId);
+    if (charge) commitRequestUsage(req);
+
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('❌ Analysis Error:', error);
+    res.status(500).json({ 
+      error: 'Analysis failed',
+      message: 'An error occurred during analysis. Please try again.'
     });
+  }
+});
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      console.error('OpenAI analysis error:', errorData);
-      return res.status(500).json({ 
+// ============================================
+// STREAMING ANALYSIS ENDPOINT - Server-Sent Events
+// ============================================
+// Events: "token" ({ content }) as the completion arrives, then one "result"
+// ({ analysis, tone, analysisId, usage }) or "error" ({ error, message }).
+// A conversation flagged by the safety check gets a single "safety" event instead.
+
+app.post('/api/analyze/stream', authenticateUser, requireAnalysisAccess('/api/analyze/stream'), async (req, res) => {
+  const request = readAnalyzeRequest(req.body, { allowStructured: false, acceptLanguage: req.get('accept-language') });
+  if (request.error) {
+    return res.status(400).json(request.error);
+  }
+
+  const { messages, transcript, persona, tone, language, userLanguage } = request;
+  const prompt = getPrompt('analysis', req.userId);
+  console.log('🧠 Streaming analysis of', messages.length, `messages (${tone}, ${prompt.key})...`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop paying for tokens nobody will read
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const safety = await screenForSafety(req.userId, { messages, transcript }, {
+      route: '/api/analyze/stream',
+      signal: controller.signal
+    });
+    if (safety) {
+      sendEvent('safety', safety);
+      return res.end();
+    }
+
+    const content = await streamAnalysisCompletion(
+      [
+        { role: 'system', content: buildSystemPrompt(persona, { prompt, language, userLanguage }) },
+        { role: 'user', content: buildUserPrompt(persona, { messages, transcript }, prompt) }
+      ],
+      { temperature: persona.temperature, signal: controller.signal },
+      token => sendEvent('token', { content: token })
+    );
+
+    if (!content) {
+      sendEvent('error', {
         error: 'Analysis failed',
         message: 'Failed to analyze messages. Please try again.'
       });
+      return res.end();
     }
 
-    const data = await response.json();
-    
-    if (!data.choices?.[0]?.message?.content) {
-      return res.status(500).json({ 
-        error: 'No analysis result',
-        message: 'Failed to generate analysis'
-      });
-    }
+    console.log('✅ Streaming analysis complete');
 
-    console.log('✅ Analysis complete');
-    res.json(data);
+    const analysis = parseMarkdownAnalysis(content);
+    await commitRequestUsage(req);
+
+    const analysisId = await saveAnalysisToHistory(req.userId, { messages, transcript }, analysis, { tone, promptVersion: prompt.key, language });
+    const usage = await getUsageSummary(req.userId);
+    const direction = conversationDirection(language, messages.join('\n'));
+
+    sendEvent('result', { success: true, analysis, tone, language, userLanguage, direction, promptVersion: prompt.key, analysisId, usage });
+    res.end();
 
   } catch (error) {
-    console.error('❌ Analysis Error:', error);
-    res.status(500).json({ 
+    if (controller.signal.aborted) {
+      console.log('ℹ️ Client closed analysis stream');
+      return;
+    }
+
+    console.error('❌ Streaming Analysis Error:', error);
+    sendEvent('error', {
       error: 'Analysis failed',
       message: 'An error occurred during analysis. Please try again.'
     });
+    res.end();
+  }
+});
+
+// ============================================
+// REPLY REFINEMENT - Tweak a Reply Without a New Analysis
+// ============================================
+// POST /api/history/:id/refinements with an "instruction" ("shorter", "less rude",
+// "add an emoji") rewrites the latest reply of a stored analysis. The first
+// FREE_REFINEMENTS_PER_ANALYSIS refinements of an analysis don't count against
+// the monthly quota; later ones cost one analysis unit.
+
+// Middleware: Load the analysis and its refinement thread. Runs before the access
+// checks, which need the thread to know whether this refinement is free.
+async function loadRefinementThread(req, res, next) {
+  try {
+    const analysis = await getAnalysisById(req.userId, req.params.id);
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'This analysis does not exist or was deleted'
+      });
+    }
+
+    if (!analysis.strategic_response) {
+      return res.status(409).json({
+        error: 'No reply to refine',
+        message: 'This analysis has no suggested reply'
+      });
+    }
+
+    const thread = await getReplyRefinements(analysis.id);
+    if (thread.length >= MAX_REFINEMENTS) {
+      return res.status(403).json({
+        error: 'Refinement limit reached',
+        message: `A reply can be refined up to ${MAX_REFINEMENTS} times. Run a new analysis to start over.`,
+        refinements: getRefinementAllowance(thread.length)
+      });
+    }
+
+    req.refinement = { analysis, thread };
+    next();
+  } catch (error) {
+    console.error('❌ Refinement thread error:', error);
+    res.status(500).json({
+      error: 'Processing failed',
+      message: 'An error occurred while processing your request. Please try again.'
+    });
+  }
+}
+
+app.post('/api/history/:id/refinements', authenticateUser, idempotent, loadRefinementThread, requireAnalysisAccess('/api/history/:id/refinements', {
+  isFree: req => req.refinement.thread.length < getFreeRefinements()
+}), async (req, res) => {
+  try {
+    const { instruction, error } = parseRefinement(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid refinement',
+        message: error
+      });
+    }
+
+    const { analysis, thread } = req.refinement;
+    const turn = thread.length + 1;
+    const charged = req.metering.units > 0;
+    const prompt = getPrompt('refinement', req.userId);
+    console.log(`✏️ Refining reply of analysis ${analysis.id} (turn ${turn}, ${charged ? 'charged' : 'free'}, ${prompt.key})...`);
+
+    const refined = await refineReply(analysis, thread, instruction, prompt);
+    if (refined.error) {
+      const { status, ...body } = refined.error;
+      return res.status(status).json(body);
+    }
+
+    let saved;
+    try {
+      saved = await saveReplyRefinement(req.userId, analysis.id, {
+        turn,
+        instruction,
+        reply: refined.reply,
+        charged,
+        promptVersion: prompt.key
+      });
+    } catch (saveError) {
+      // A concurrent refinement took this turn first (its reservation is refunded on close)
+      if (saveError.code !== '23505') throw saveError;
+      return res.status(409).json({
+        error: 'Refinement conflict',
+        message: 'This reply was just refined by another request. Reload the thread and try again.'
+      });
+    }
+
+    await commitRequestUsage(req);
+    console.log('✅ Reply refined');
+
+    res.json({
+      success: true,
+      analysisId: analysis.id,
+      refinement: formatRefinement(saved),
+      refinements: getRefinementAllowance(turn)
+    });
+
+  } catch (error) {
+    console.error('❌ Refinement Error:', error);
+    res.status(500).json({
+      error: 'Refinement failed',
+      message: 'An error occurred while refining the reply. Please try again.'
+    });
+  }
+});
+
+// ============================================
+// ASYNC JOBS - Submit Now, Poll or Get a Callback Later
+// ============================================
+// POST /api/jobs with a "type" (ocr, ocr-batch or analyze) and the same fields as
+// the matching route: "image" or "images" uploads, or the analyze JSON body.
+// An optional https "callbackUrl" receives the finished job. Usage is reserved
+// at submission exactly like the synchronous route and settled when the job ends.
+
+const jobUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_BATCH_IMAGES }
+]);
+
+// Job type -> access checks of the route it stands for
+const jobAccess = Object.fromEntries(
+  Object.entries(JOB_TYPES).map(([type, route]) => [type, requireAnalysisAccess(route)])
+);
+
+// Middleware: Check the job type, then run its route's access checks
+function requireJobAccess(req, res, next) {
+  const type = req.body?.type;
+  if (!Object.prototype.hasOwnProperty.call(JOB_TYPES, type)) {
+    return res.status(400).json({
+      error: 'Invalid job type',
+      message: `Type must be one of: ${Object.keys(JOB_TYPES).join(', ')}`
+    });
+  }
+
+  jobAccess[type](req, res, next);
+}
+
+// Helper: Validate a job submission and build the input stored with it.
+// Screenshots are preprocessed (and cropped) now, so only the small JPEGs are stored.
+// Resolves with { input } or { error } with a status and response body.
+async function readJobInput(type, req) {
+  if (type === 'analyze') {
+    const request = readAnalyzeRequest(req.body, { acceptLanguage: req.get('accept-language') });
+    if (request.error) return { error: { status: 400, ...request.error } };
+
+    return { input: { body: req.body, acceptLanguage: req.get('accept-language') || null } };
+  }
+
+  const files = (type === 'ocr' ? req.files?.image : req.files?.images) || [];
+  if (files.length === 0) {
+    return {
+      error: type === 'ocr'
+        ? { status: 400, error: 'No image provided', message: 'Please upload an image' }
+        : { status: 400, error: 'No images provided', message: 'Please upload one or more screenshots' }
+    };
+  }
+
+  const mode = type === 'ocr' ? req.body.mode || 'received' : 'transcript';
+  if (!OCR_MODES[mode]) {
+    return { error: { status: 400, error: 'Invalid mode', message: `Mode must be one of: ${Object.keys(OCR_MODES).join(', ')}` } };
+  }
+
+  const { crop, error: cropError } = parseCropOption(req.body.crop);
+  if (cropError) {
+    return { error: { status: 400, error: 'Invalid crop', message: cropError } };
+  }
+
+  const images = [];
+  for (const [index, file] of files.entries()) {
+    const { image, error } = await preprocessUpload(file, { crop });
+    if (error) {
+      return {
+        error: type === 'ocr' ? error : { ...error, message: `Screenshot ${index + 1}: ${error.message}`, imageIndex: index }
+      };
+    }
+    images.push(image.data.toString('base64'));
+  }
+
+  return { input: { images, mode } };
+}
+
+// Helper: Stored job images as uploads that skip preprocessing
+function jobImages(input) {
+  return input.images.map(data => ({ buffer: Buffer.from(data, 'base64'), mimetype: 'image/jpeg', preprocessed: true }));
+}
+
+// Job type -> runner resolving with the synchronous route's { status, body, charge }
+const JOB_RUNNERS = {
+  ocr: (input, userId) => runOcr(jobImages(input)[0], userId, { mode: input.mode, crop: [] }),
+  'ocr-batch': (input, userId) => runOcrBatch(jobImages(input), userId, { crop: [] }),
+  analyze: async (input, userId) => {
+    const request = readAnalyzeRequest(input.body, { acceptLanguage: input.acceptLanguage });
+    if (request.error) return { status: 400, body: request.error, charge: false };
+    return runAnalysis(request, userId);
+  }
+};
+
+// Abandoned jobs the worker restarts per run, side by side
+const WORKER_BATCH_SIZE = 5;
+
+// Helper: Run a job; its outcome is stored on the job. Never rejects.
+function executeJob(job) {
+  return runJob(job, claimed => JOB_RUNNERS[claimed.type](claimed.input, claimed.user_id)).catch(err => {
+    console.error(`❌ Job ${job.id} run error:`, err);
+    return null;
+  });
+}
+
+// Helper: Run a job after the response is sent. On Vercel, waitUntil keeps the
+// function alive until it's done; elsewhere the process simply keeps running it.
+function startJob(job) {
+  waitUntil(executeJob(job));
+}
+
+app.post('/api/jobs', authenticateUser, jobUpload, idempotent, requireJobAccess, async (req, res) => {
+  try {
+    const type = req.body.type;
+
+    const { callbackUrl, error: callbackError } = parseCallbackUrl(req.body.callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({
+        error: 'Invalid callback URL',
+        message: callbackError
+      });
+    }
+
+    const { input, error } = await readJobInput(type, req);
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    const { route, units, reservationId, credit } = req.metering;
+    const job = await createJob(req.userId, {
+      type,
+      input,
+      callbackUrl,
+      metering: { route, units, reservationId, credit }
+    });
+
+    // The reservation (and any extraction credit) now belongs to the job, which settles it
+    req.metering.settled = true;
+
+    console.log(`📥 Job ${job.id} queued (${type})`);
+    startJob(job);
+
+    const statusUrl = `/api/jobs/${job.id}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      job: formatJob(job),
+      statusUrl
+    });
+
+  } catch (error) {
+    console.error('❌ Job submission error:', error);
+    res.status(500).json({
+      error: 'Job submission failed',
+      message: 'An error occurred while submitting your job. Please try again.'
+    });
+  }
+});
+
+// Worker for jobs the instance that accepted them never finished (crashed, or
+// frozen past its time limit). Vercel Cron calls it every minute (vercel.json).
+app.get('/api/jobs/worker', requireCronSecret, async (req, res) => {
+  try {
+    const jobs = await findAbandonedJobs(WORKER_BATCH_SIZE);
+
+    for (const job of jobs) {
+      console.warn(`⚠️ Restarting stale job ${job.id} (${job.status}, attempt ${job.attempts})`);
+    }
+    const finished = await Promise.all(jobs.map(executeJob));
+
+    res.json({
+      success: true,
+      restarted: jobs.length,
+      finished: finished.filter(Boolean).length
+    });
+
+  } catch (error) {
+    console.error('❌ Jobs worker error:', error);
+    res.status(500).json({
+      error: 'Worker failed',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/jobs/:id', authenticateUser, rateLimit('account'), async (req, res) => {
+  try {
+    const job = await getJobById(req.userId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'This job does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message
+    });
   }
 });
 
@@ -612,6 +1407,14 @@ Make the reply short, witty, and slightly shady. I want them to know I see throu
 // ============================================
 
 app.use((err, req, res, next) => {
+  // Upload problems (too many files, file too large, wrong type) are client errors
+  if (err instanceof multer.MulterError || ['Only image files are allowed', CHAT_EXPORT_ERROR].includes(err.message)) {
+    return res.status(400).json({
+      error: 'Invalid upload',
+      message: err.message
+    });
+  }
+
   console.error('Unhandled error:', err);
   res.status(500).json({
     error: 'Server error',
@@ -629,6 +1432,6 @@ if (process.env.NODE_ENV === 'production') {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`🔍 Local: http://localhost:${PORT}`);
-    console.log(`📊 Rate limit: ${RATE_LIMIT_MAX} requests per hour`);
+    console.log(`📊 Rate limits: per tier and route (${getBackendName()} store)`);
   });
 }
\ No newline at end of file